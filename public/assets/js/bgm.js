@@ -0,0 +1,83 @@
+// ===========================
+//  BGM プレイヤー（トップページ）
+//  templates/home.html の #bgm-dock で動作
+//
+//  #bgm         <audio>
+//  #bgm-btn     再生/停止
+//  #bgm-volume  音量（0〜1）
+//  #bgm-close   プレイヤーを閉じる（音楽は止めない）
+//
+//  client-nav.js でページを移動している間はプレイヤーごと残るので鳴り続ける。
+//  通常の遷移や再読み込みのときのために、再生中かどうか・音量・再生位置を
+//  sessionStorage に残して次に開いたときに戻す。停止したあとは自動再生しない。
+// ===========================
+
+(function () {
+  const STORAGE_KEY = 'spring-universe:bgm';
+
+  const bgm    = document.getElementById('bgm');
+  const btn    = document.getElementById('bgm-btn');
+  const volume = document.getElementById('bgm-volume');
+  const close  = document.getElementById('bgm-close');
+  const player = document.getElementById('bgm-player');
+
+  if (!bgm || !btn) return;
+
+  function load() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function save() {
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+        playing: !bgm.paused,
+        volume: bgm.volume,
+        time: bgm.currentTime,
+      }));
+    } catch (e) {
+      // 保存できない（プライベートブラウズなど）ときはページ内だけで動く
+    }
+  }
+
+  function render() {
+    btn.textContent = bgm.paused ? '▶ 再生' : '⏸ 停止';
+    if (volume) volume.value = String(bgm.volume);
+  }
+
+  function play() {
+    // 自動再生がブロックされた場合はボタンで手動再生
+    return bgm.play().catch(function () { });
+  }
+
+  const saved = load();
+  if (typeof saved.volume === 'number') bgm.volume = Math.min(1, Math.max(0, saved.volume));
+  if (typeof saved.time === 'number') bgm.currentTime = saved.time;
+
+  btn.addEventListener('click', function () {
+    if (bgm.paused) play();
+    else bgm.pause();
+  });
+  if (volume) {
+    volume.addEventListener('input', function () {
+      bgm.volume = Number(volume.value);
+    });
+  }
+  if (close && player) {
+    close.addEventListener('click', function () {
+      player.style.display = 'none';
+    });
+  }
+
+  bgm.addEventListener('play', function () { render(); save(); });
+  bgm.addEventListener('pause', function () { render(); save(); });
+  bgm.addEventListener('volumechange', function () { render(); save(); });
+  window.addEventListener('pagehide', save);
+
+  render();
+  // ページ読み込み時に自動再生を試みる（前のページで停止していたら再生しない）
+  if (saved.playing !== false) play();
+})();
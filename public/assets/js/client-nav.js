@@ -0,0 +1,186 @@
+// ===========================
+//  クライアント側のページ遷移（全ページ共通）
+//  <html data-client-nav> のページで動作（トップページ。build.mjs の CLIENT_NAV）
+//
+//  サイト内のリンクは次のページを fetch して、<head>（スタイルシート・タイトル）と
+//  <body> の中身を差し替え、URL と履歴は history.pushState で更新する。
+//  テーマごとにスタイルシートが違うので、新しいスタイルシートを読み込んでから差し替える。
+//  [data-client-nav-persist]（id 付き）の要素は差し替えずに残す（トップページの BGM プレイヤー）。
+//
+//  a[data-no-client-nav] とサイトの外・別ウィンドウ・.html 以外へのリンクは通常の遷移。
+//  読み込みに失敗したときと file:// で開いたときも通常の遷移になる。
+//  JavaScript が無効なら普通のリンクのまま。
+// ===========================
+
+(function () {
+  const PERSIST = '[data-client-nav-persist]';
+  const STYLESHEET_TIMEOUT_MS = 5000;
+
+  if (!document.documentElement.hasAttribute('data-client-nav')) return;
+  if (location.protocol === 'file:' || !window.fetch || !window.DOMParser || !history.pushState) return;
+
+  // ハッシュを除いた URL（同じページ内のアンカーかどうかの判定に使う）
+  function pageUrl(href) {
+    const url = new URL(href, location.href);
+    url.hash = '';
+    return url.href;
+  }
+
+  let currentUrl = pageUrl(location.href);
+  let controller = null;
+
+  function linkUrl(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return null;
+    const link = e.target.closest && e.target.closest('a[href]');
+    if (!link || link.hasAttribute('download') || link.hasAttribute('data-no-client-nav')) return null;
+    if (link.target && link.target !== '_self') return null;
+
+    const url = new URL(link.getAttribute('href'), location.href);
+    if (url.origin !== location.origin) return null;
+    // 生成したページ（.html とディレクトリ）だけ。フィード・画像などはそのまま開く
+    if (!/(\/|\.html)$/.test(url.pathname)) return null;
+    // 同じページ内のアンカーはブラウザに任せる
+    if (url.hash && pageUrl(url.href) === currentUrl) return null;
+    return url.href;
+  }
+
+  // ----- 差し替え -----
+
+  function waitForStylesheet(link) {
+    return new Promise(function (resolve) {
+      const done = function () { clearTimeout(timer); resolve(); };
+      const timer = setTimeout(done, STYLESHEET_TIMEOUT_MS);
+      link.addEventListener('load', done);
+      link.addEventListener('error', done);
+    });
+  }
+
+  // 新しいページのスタイルシート（絶対 URL）を先に読み込む。今のページにあるものはそのまま使う
+  function loadStylesheets(doc, url) {
+    const loaded = new Set(Array.prototype.map.call(document.head.querySelectorAll('link[rel="stylesheet"]'), function (l) { return l.href; }));
+    const hrefs = Array.prototype.map.call(doc.head.querySelectorAll('link[rel="stylesheet"]'), function (l) {
+      return new URL(l.getAttribute('href'), url).href;
+    });
+    const pending = hrefs.filter(function (href) { return !loaded.has(href); }).map(function (href) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = href;
+      document.head.appendChild(link);
+      return waitForStylesheet(link);
+    });
+    return Promise.all(pending).then(function () { return new Set(hrefs); });
+  }
+
+  function swapHead(doc, stylesheets) {
+    Array.prototype.slice.call(document.head.children).forEach(function (el) {
+      const keep = el.matches('link[rel="stylesheet"]') ? stylesheets.has(el.href) : el.matches(PERSIST);
+      if (!keep) el.remove();
+    });
+    Array.prototype.forEach.call(doc.head.children, function (el) {
+      if (el.matches('link[rel="stylesheet"]')) return;
+      document.head.appendChild(document.importNode(el, true));
+    });
+    document.title = doc.title;
+    document.documentElement.lang = doc.documentElement.lang;
+  }
+
+  // fetch したページの <script> は実行されないので、作り直して順に実行させる
+  function runScripts(root) {
+    const scripts = root.matches('script') ? [root] : Array.prototype.slice.call(root.querySelectorAll('script'));
+    scripts.forEach(function (old) {
+      if (old.type && !/javascript|module/.test(old.type)) return;
+      const script = document.createElement('script');
+      Array.prototype.forEach.call(old.attributes, function (attr) { script.setAttribute(attr.name, attr.value); });
+      script.async = false;
+      script.textContent = old.textContent;
+      old.replaceWith(script);
+    });
+  }
+
+  function swapBody(doc) {
+    const body = document.body;
+    Array.prototype.slice.call(body.attributes).forEach(function (attr) { body.removeAttribute(attr.name); });
+    Array.prototype.forEach.call(doc.body.attributes, function (attr) { body.setAttribute(attr.name, attr.value); });
+
+    Array.prototype.slice.call(body.childNodes).forEach(function (node) {
+      if (!(node.nodeType === 1 && node.matches(PERSIST))) node.remove();
+    });
+    // 残した要素は末尾に置いたまま、その前に新しい中身を入れる
+    const anchor = body.querySelector(':scope > ' + PERSIST);
+    Array.prototype.slice.call(doc.body.childNodes).forEach(function (node) {
+      if (node.nodeType === 1 && node.matches(PERSIST) && node.id && document.getElementById(node.id)) return;
+      const imported = document.importNode(node, true);
+      body.insertBefore(imported, anchor);
+      if (imported.nodeType === 1) runScripts(imported);
+    });
+  }
+
+  function scrollAfterSwap(hash, scrollY) {
+    const id = hash ? decodeURIComponent(hash.slice(1)) : '';
+    const target = id && document.getElementById(id);
+    if (target) target.scrollIntoView();
+    else window.scrollTo(0, scrollY || 0);
+  }
+
+  // ----- 遷移 -----
+
+  function rememberScroll() {
+    history.replaceState(Object.assign({}, history.state, { clientNav: true, scrollY: window.scrollY }), '');
+  }
+
+  // push: リンクから（履歴を増やす）/ false: 戻る・進む（URL は変更済み）
+  function navigate(href, push, scrollY) {
+    if (controller) controller.abort();
+    controller = new AbortController();
+    const signal = controller.signal;
+    document.documentElement.setAttribute('aria-busy', 'true');
+
+    return fetch(href, { signal: signal, credentials: 'same-origin' })
+      .then(function (res) {
+        if (!res.ok || !/text\/html/.test(res.headers.get('Content-Type') || '')) throw new Error('HTTP ' + res.status);
+        return res.text().then(function (text) { return { text: text, url: res.redirected ? res.url : href }; });
+      })
+      .then(function (page) {
+        const doc = new DOMParser().parseFromString(page.text, 'text/html');
+        return loadStylesheets(doc, page.url).then(function (stylesheets) {
+          if (signal.aborted) return;
+          if (push) {
+            rememberScroll();
+            history.pushState({ clientNav: true, scrollY: 0 }, '', page.url + new URL(href).hash);
+          }
+          currentUrl = pageUrl(location.href);
+          swapHead(doc, stylesheets);
+          swapBody(doc);
+          scrollAfterSwap(location.hash, scrollY);
+        });
+      })
+      .catch(function (err) {
+        if (err.name === 'AbortError') return;
+        // 差し替えられないページは通常の遷移で開く
+        if (push) location.href = href;
+        else location.reload();
+      })
+      .finally(function () {
+        if (controller && controller.signal === signal) {
+          controller = null;
+          document.documentElement.removeAttribute('aria-busy');
+        }
+      });
+  }
+
+  history.scrollRestoration = 'manual';
+  history.replaceState(Object.assign({}, history.state, { clientNav: true }), '');
+
+  document.addEventListener('click', function (e) {
+    const href = linkUrl(e);
+    if (!href) return;
+    e.preventDefault();
+    navigate(href, true);
+  });
+
+  window.addEventListener('popstate', function (e) {
+    // 同じページ内のアンカーの戻る・進む
+    if (pageUrl(location.href) === currentUrl) return;
+    navigate(location.href, false, e.state && e.state.scrollY);
+  });
+})();
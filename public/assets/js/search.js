@@ -0,0 +1,287 @@
+// ===========================
+//  全文検索（全テーマ共通）
+//  data-search 属性で動作
+//
+//  ビルド時に生成した search-index.js を初回入力時に読み込む。
+//  <script> で読み込むので file:// でもオフラインでも動く。
+//  正規化と 2-gram 分割は scripts/lib/search.mjs と同じ。
+//  件数などの文言はページの言語に合わせて data-search-empty / -hits / -more から読む
+//  （{terms} {count} {limit} を置き換える）。
+// ===========================
+
+(function () {
+  const SEPARATOR = /[\s\p{P}\p{S}]+/u;
+  const MAX_RESULTS = 20;
+  const SNIPPET_BEFORE = 30;
+  const SNIPPET_LENGTH = 110;
+  const DEBOUNCE_MS = 120;
+
+  function normalize(text) {
+    return String(text || '').normalize('NFKC').toLowerCase();
+  }
+
+  function ngrams(text) {
+    const grams = [];
+    normalize(text).split(SEPARATOR).forEach(function (segment) {
+      const chars = Array.from(segment);
+      if (chars.length === 1) grams.push(chars[0]);
+      for (let i = 0; i < chars.length - 1; i++) grams.push(chars[i] + chars[i + 1]);
+    });
+    return grams;
+  }
+
+  // ----- インデックス読み込み -----
+  let indexPromise = null;
+
+  function loadIndex(root) {
+    // client-nav.js でページを移動してきたときは読み込み済みの索引を使う
+    if (!indexPromise && window.__SPRING_SEARCH_INDEX__) {
+      indexPromise = Promise.resolve(prepare(window.__SPRING_SEARCH_INDEX__));
+    }
+    if (!indexPromise) {
+      indexPromise = new Promise(function (resolve, reject) {
+        const script = document.createElement('script');
+        script.src = root + 'search-index.js';
+        script.onload = function () { resolve(prepare(window.__SPRING_SEARCH_INDEX__)); };
+        script.onerror = function () {
+          indexPromise = null;
+          reject(new Error('search-index.js を読み込めませんでした'));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return indexPromise;
+  }
+
+  // 1文字ずつ正規化し、正規化後の位置 → 元の位置の対応を残す（「…」が「...」になるなど長さが変わるため）
+  function normalizeWithMap(text) {
+    const source = String(text || '');
+    const map = [];
+    let norm = '';
+    let offset = 0;
+    Array.from(source).forEach(function (ch) {
+      const n = normalize(ch);
+      for (let i = 0; i < n.length; i++) map.push(offset);
+      norm += n;
+      offset += ch.length;
+    });
+    map.push(offset);
+    return { source: source, norm: norm, map: map };
+  }
+
+  function prepare(index) {
+    index.docs.forEach(function (doc) {
+      doc.textNorm = normalize([doc.t, doc.g.join(' '), doc.e, doc.x].join('\n'));
+      doc.titleNorm = normalize(doc.t);
+      doc.snippetSources = [normalizeWithMap(doc.x), normalizeWithMap(doc.e)];
+    });
+    index.keys = Object.keys(index.grams);
+    return index;
+  }
+
+  // ----- 検索 -----
+
+  // 1文字の語はインデックスに 1-gram が無いことが多いので、その文字を含む 2-gram をまとめて使う
+  function postingsFor(index, gram) {
+    if (Array.from(gram).length > 1) return index.grams[gram] ? [index.grams[gram]] : [];
+    return index.keys
+      .filter(function (key) { return key.indexOf(gram) !== -1; })
+      .map(function (key) { return index.grams[key]; });
+  }
+
+  // 語ごとに、全 gram を含む記事だけを残してスコアを足す（AND 検索）
+  function scoreTerm(index, term) {
+    const total = index.docs.length;
+    let scores = null;
+
+    ngrams(term).forEach(function (gram) {
+      const gramScores = new Map();
+      postingsFor(index, gram).forEach(function (list) {
+        const idf = Math.log(1 + total / (list.length / 2));
+        for (let i = 0; i < list.length; i += 2) {
+          gramScores.set(list[i], (gramScores.get(list[i]) || 0) + list[i + 1] * idf);
+        }
+      });
+
+      if (scores === null) {
+        scores = gramScores;
+        return;
+      }
+      const next = new Map();
+      scores.forEach(function (score, id) {
+        if (gramScores.has(id)) next.set(id, score + gramScores.get(id));
+      });
+      scores = next;
+    });
+
+    return scores || new Map();
+  }
+
+  function search(index, terms) {
+    let scores = null;
+    terms.forEach(function (term) {
+      const termScores = scoreTerm(index, term);
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+      const next = new Map();
+      scores.forEach(function (score, id) {
+        if (termScores.has(id)) next.set(id, score + termScores.get(id));
+      });
+      scores = next;
+    });
+
+    const results = [];
+    (scores || new Map()).forEach(function (score, id) {
+      const doc = index.docs[id];
+      // 2-gram が離れた位置で一致しただけの記事を除く
+      const matchesAll = terms.every(function (term) { return doc.textNorm.indexOf(term) !== -1; });
+      if (!matchesAll) return;
+      const titleBonus = terms.some(function (term) { return doc.titleNorm.indexOf(term) !== -1; }) ? 2 : 1;
+      results.push({ doc: doc, score: score * titleBonus });
+    });
+
+    return results.sort(function (a, b) {
+      if (b.score !== a.score) return b.score - a.score;
+      return a.doc.d < b.doc.d ? 1 : -1;
+    });
+  }
+
+  // ----- 表示 -----
+
+  // 本文の最初の一致箇所の前後を切り出す（本文に無ければ抜粋）
+  function snippetOf(doc, terms) {
+    for (let s = 0; s < doc.snippetSources.length; s++) {
+      const src = doc.snippetSources[s];
+      let first = -1;
+      terms.forEach(function (term) {
+        const pos = src.norm.indexOf(term);
+        if (pos !== -1 && (first === -1 || pos < first)) first = pos;
+      });
+      if (first === -1) continue;
+      const start = src.map[Math.max(0, first - SNIPPET_BEFORE)];
+      const end = Math.min(src.source.length, start + SNIPPET_LENGTH);
+      return (start > 0 ? '…' : '') + src.source.slice(start, end) + (end < src.source.length ? '…' : '');
+    }
+    return doc.e;
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 一致部分を <mark> で囲んだノードを追加する（innerHTML は使わない）
+  function appendHighlighted(parent, text, terms) {
+    const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+    text.split(pattern).forEach(function (part, i) {
+      if (!part) return;
+      if (i % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        parent.appendChild(mark);
+      } else {
+        parent.appendChild(document.createTextNode(part));
+      }
+    });
+  }
+
+  const MESSAGES = {
+    empty: '「{terms}」に一致する記事は見つかりませんでした',
+    hits: '{count}件ヒット',
+    more: '（上位{limit}件を表示）',
+  };
+
+  function message(box, name, params) {
+    const format = box.getAttribute('data-search-' + name) || MESSAGES[name];
+    return format.replace(/\{(\w+)\}/g, function (m, key) {
+      return key in params ? String(params[key]) : m;
+    });
+  }
+
+  function renderResults(box, results, terms) {
+    const list = box.querySelector('[data-search-results]');
+    const status = box.querySelector('[data-search-status]');
+    const root = box.getAttribute('data-search-root') || '';
+    list.textContent = '';
+
+    if (!terms.length) {
+      status.textContent = '';
+      return;
+    }
+    if (!results.length) {
+      status.textContent = message(box, 'empty', { terms: terms.join(' ') });
+      return;
+    }
+    status.textContent = message(box, 'hits', { count: results.length })
+      + (results.length > MAX_RESULTS ? message(box, 'more', { limit: MAX_RESULTS }) : '');
+
+    results.slice(0, MAX_RESULTS).forEach(function (result) {
+      const doc = result.doc;
+      const item = document.createElement('li');
+      item.className = 'search-result';
+
+      const link = document.createElement('a');
+      link.className = 'search-result-title';
+      link.href = root + doc.u;
+      appendHighlighted(link, doc.t, terms);
+
+      const meta = document.createElement('div');
+      meta.className = 'search-result-meta';
+      meta.textContent = doc.m + ' ' + doc.b + ' | ' + doc.d + (doc.g.length ? ' | #' + doc.g.join(' #') : '');
+
+      const snippet = document.createElement('p');
+      snippet.className = 'search-result-snippet';
+      appendHighlighted(snippet, snippetOf(doc, terms), terms);
+
+      item.appendChild(link);
+      item.appendChild(meta);
+      item.appendChild(snippet);
+      list.appendChild(item);
+    });
+  }
+
+  function setup(box) {
+    const input = box.querySelector('[data-search-input]');
+    const status = box.querySelector('[data-search-status]');
+    const root = box.getAttribute('data-search-root') || '';
+    let timer = null;
+
+    // JavaScript が無効な環境では検索欄を出さない
+    box.hidden = false;
+
+    function run() {
+      const terms = normalize(input.value).split(SEPARATOR).filter(Boolean);
+      if (!terms.length) {
+        renderResults(box, [], terms);
+        return;
+      }
+      loadIndex(root).then(function (index) {
+        renderResults(box, search(index, terms), terms);
+      }, function (err) {
+        status.textContent = err.message;
+      });
+    }
+
+    input.addEventListener('input', function () {
+      clearTimeout(timer);
+      timer = setTimeout(run, DEBOUNCE_MS);
+    });
+    input.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        input.value = '';
+        run();
+      }
+    });
+    // 先読みしておく
+    input.addEventListener('focus', function () { loadIndex(root).catch(function () {}); }, { once: true });
+  }
+
+  function init() {
+    document.querySelectorAll('[data-search]').forEach(setup);
+  }
+
+  // client-nav.js がページを差し替えたあとに読み込んだときは DOMContentLoaded が済んでいる
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
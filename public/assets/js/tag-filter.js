@@ -1,39 +1,136 @@
 // ===========================
 //  タグフィルター（全テーマ共通）
 //  data-tag 属性で動作
+//
+//  [data-tag-btn]     タグのボタン（"__all__" は「すべて」＝選択の解除）
+//  [data-tag-mode]    複数タグの組み合わせ "or"（いずれか）/ "and"（すべて）
+//  [data-tag-status]  表示中の件数（aria-live で読み上げる）。属性の値が文言の書式（{total} {shown}）
+//  [data-tag-empty]   該当する記事が無いときだけ表示
+//  [data-post-tags]   記事カード（タグの JSON 配列）
+//
+//  選択中のボタンは aria-pressed="true" になり、見た目は各テーマの CSS が付ける。
+//  選択は URL の ?tag=A&tag=B&mode=and に残すので、再読み込みや共有でも復元される。
+//  Esc で選択を解除する。
 // ===========================
 
 (function () {
-  document.addEventListener('DOMContentLoaded', function () {
-    const tagButtons = document.querySelectorAll('[data-tag-btn]');
-    const postCards  = document.querySelectorAll('[data-post-tags]');
+  const ALL = '__all__';
+
+  function init() {
+    const tagButtons  = document.querySelectorAll('[data-tag-btn]');
+    const modeButtons = document.querySelectorAll('[data-tag-mode]');
+    const postCards   = document.querySelectorAll('[data-post-tags]');
+    const statusEls   = document.querySelectorAll('[data-tag-status]');
+    const emptyEls    = document.querySelectorAll('[data-tag-empty]');
 
     if (!tagButtons.length) return;
 
+    // URL から選択を復元（このページに無いタグは無視する）
+    const known = new Set(Array.prototype.map.call(tagButtons, function (b) {
+      return b.getAttribute('data-tag-btn');
+    }));
+    const params = new URLSearchParams(location.search);
+    const state = {
+      tags: params.getAll('tag').filter(function (t, i, all) {
+        return t !== ALL && known.has(t) && all.indexOf(t) === i;
+      }),
+      mode: params.get('mode') === 'and' ? 'and' : 'or',
+    };
+
+    // data-post-tags は JSON の配列（カンマを含むタグもそのまま入る）
+    function cardTags(card) {
+      try {
+        const tags = JSON.parse(card.getAttribute('data-post-tags') || '[]');
+        return Array.isArray(tags) ? tags.map(String) : [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    function matches(card) {
+      if (!state.tags.length) return true;
+      const tags = cardTags(card);
+      const has = function (t) { return tags.includes(t); };
+      return state.mode === 'and' ? state.tags.every(has) : state.tags.some(has);
+    }
+
+    function render() {
+      tagButtons.forEach(function (btn) {
+        const tag = btn.getAttribute('data-tag-btn');
+        const pressed = tag === ALL ? state.tags.length === 0 : state.tags.includes(tag);
+        btn.setAttribute('aria-pressed', String(pressed));
+      });
+      modeButtons.forEach(function (btn) {
+        btn.setAttribute('aria-pressed', String(btn.getAttribute('data-tag-mode') === state.mode));
+      });
+
+      // 記事の表示/非表示
+      let shown = 0;
+      postCards.forEach(function (card) {
+        const visible = matches(card);
+        card.style.display = visible ? '' : 'none';
+        if (visible) shown++;
+      });
+
+      statusEls.forEach(function (el) {
+        const format = el.getAttribute('data-tag-status') || '{total}件中 {shown}件を表示';
+        el.textContent = state.tags.length ? format.replace('{total}', postCards.length).replace('{shown}', shown) : '';
+      });
+      emptyEls.forEach(function (el) {
+        el.hidden = shown > 0;
+      });
+    }
+
+    // 履歴は増やさずに URL だけ書き換える
+    function saveToUrl() {
+      const url = new URL(location.href);
+      url.searchParams.delete('tag');
+      url.searchParams.delete('mode');
+      state.tags.forEach(function (t) { url.searchParams.append('tag', t); });
+      if (state.mode === 'and') url.searchParams.set('mode', 'and');
+      history.replaceState(history.state, '', url);
+    }
+
+    function update() {
+      render();
+      saveToUrl();
+    }
+
     tagButtons.forEach(function (btn) {
       btn.addEventListener('click', function () {
-        const selectedTag = btn.getAttribute('data-tag-btn');
-
-        // アクティブクラスをトグル
-        tagButtons.forEach(function (b) {
-          b.classList.remove('word-tag-active', 'cosmic-tag-active', 'term-tag-active');
-        });
-        btn.classList.add(
-          btn.classList.contains('cosmic-tag') ? 'cosmic-tag-active' :
-          btn.classList.contains('term-tag')   ? 'term-tag-active'   :
-          'word-tag-active'
-        );
-
-        // 記事の表示/非表示
-        postCards.forEach(function (card) {
-          const tags = (card.getAttribute('data-post-tags') || '').split(',');
-          if (selectedTag === '__all__' || tags.includes(selectedTag)) {
-            card.style.display = '';
-          } else {
-            card.style.display = 'none';
-          }
-        });
+        const tag = btn.getAttribute('data-tag-btn');
+        if (tag === ALL) {
+          state.tags = [];
+        } else if (state.tags.includes(tag)) {
+          state.tags = state.tags.filter(function (t) { return t !== tag; });
+        } else {
+          state.tags = state.tags.concat(tag);
+        }
+        update();
+      });
+    });
+
+    modeButtons.forEach(function (btn) {
+      btn.addEventListener('click', function () {
+        state.mode = btn.getAttribute('data-tag-mode') === 'and' ? 'and' : 'or';
+        update();
       });
     });
-  });
+
+    // フィルターのボタンにフォーカスがあるときの Esc で選択を解除
+    // （client-nav.js でページを差し替えても残らないよう、document ではなくボタンに付ける）
+    function clearOnEscape(e) {
+      if (e.key !== 'Escape' || !state.tags.length) return;
+      state.tags = [];
+      update();
+    }
+    tagButtons.forEach(function (btn) { btn.addEventListener('keydown', clearOnEscape); });
+    modeButtons.forEach(function (btn) { btn.addEventListener('keydown', clearOnEscape); });
+
+    render();
+  }
+
+  // client-nav.js の遷移で読み込まれたときはすぐに初期化する
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
 })();
@@ -5,24 +5,130 @@
 //
 //  使い方:
 //    node scripts/build.mjs
+//    node scripts/build.mjs --strict   ← 未解決のプレースホルダーでビルド失敗
+//    node scripts/build.mjs --force    ← キャッシュを使わずにすべて再生成
+//    node scripts/build.mjs --drafts   ← 下書き・予約投稿も含めたプレビューを preview/ に出力
+//    node scripts/build.mjs --production  ← 本番用（圧縮・アセットのファイル名にハッシュ）
+//    node scripts/check.mjs            ← ビルドせずにコンテンツの検証だけ行う
+//    node scripts/build.mjs --config <file>  ← spring-universe.config.js 以外の設定ファイルを使う
+//    SITE_URL=https://example.com/ node scripts/build.mjs  ← 公開URLを指定（spring-universe.config.js で読む）
 //
 //  必要なもの:
 //    Node.js 18+ (fs/path/process はネイティブ)
 //    npm install gray-matter  ← Frontmatterパーサー
+//    npm install markdown-it  ← Markdownパーサー
 // ===========================
 
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import MarkdownIt from 'markdown-it';
+import { render as renderTemplate, esc, html } from './lib/template.mjs';
+import { hash, openBuildCache } from './lib/cache.mjs';
+import { buildSearchIndex } from './lib/search.mjs';
+import { uniqueSlugs } from './lib/slug.mjs';
+import { headingAnchors, stripHeadingAnchors } from './lib/headings.mjs';
+import { postImages, imageWarnings } from './lib/images.mjs';
+import { validateBlogs, validateAuthors, validateThemes, validateFrontmatter, validatePostRefs, formatProblem, parsePublishAt } from './lib/validate.mjs';
+import { DEFAULT_LANG, LANGUAGES, STRINGS, uiStrings, t } from './lib/i18n.mjs';
+import { minifyHtml, minifyCss, minifyJs } from './lib/minify.mjs';
+import { loadConfig } from './lib/config.mjs';
 
 // ===========================
 //  パス定義
 // ===========================
 
-const ROOT = path.resolve(process.cwd());
-const CONTENT = path.join(ROOT, 'content');
-const TEMPLATES = path.join(ROOT, 'templates');
-const PUBLIC = path.join(ROOT, 'public');
-const DIST = path.join(ROOT, 'docs');
+// パスとサイト設定は spring-universe.config.js から読む（scripts/lib/config.mjs）。
+// モジュールの読み込み時には読まず、build() / check() のたびに読み直して
+// その呼び出しの状態（BuildContext）にまとめる（設定の誤りは build() のエラーになる）
+const SCRIPTS = path.dirname(fileURLToPath(import.meta.url));
+
+// ===========================
+//  ビルドの状態
+//  build() / check() の呼び出しごとに作り、ページの生成・出力に関わる関数へ ctx として渡す。
+//  モジュールには状態を持たないので、設定の違う build() を続けて・重ねて呼んでも混ざらない
+// ===========================
+
+/**
+ * @typedef {object} BuildContext
+ * @property {object} config       loadConfig() の設定
+ * @property {string} root         プロジェクトのルート
+ * @property {object} paths        入出力のディレクトリ（絶対パス）
+ * @property {object} site         サイト名・説明・公開URL・OGP画像
+ * @property {object} features     機能の有効/無効
+ * @property {string} outDir       今回のビルドの出力先（paths.outDir か paths.previewDir）
+ * @property {string} cacheFile    今回のビルドのキャッシュ
+ * @property {boolean} production  本番ビルドか
+ * @property {Date} now            現在時刻（予約投稿の公開判定・NEW バッジ・作成日時）
+ * @property {object | null} cache openBuildCache() のキャッシュ（build() の途中で開く）
+ * @property {Map<string, string>} assetNames  assets/ 以下の元のパス → ハッシュ入りのパス（outDir からの相対・/ 区切り）。通常のビルドでは空
+ * @property {Map<string, object>} authors     id → authors.json の著者
+ * @property {Map<string, string>} tagSlugs    タグ → スラッグ（全ブログのタグから決める）
+ * @property {Map<string, object>} renderedPosts  記事の内容のハッシュと言語 → 変換した本文と見出し
+ * @property {Set<string>} templateWarnings    未解決のプレースホルダー（strict ならビルドを失敗させる）
+ * @property {string[] | null} pageWarnings    emitPage で出力中のページの警告（キャッシュに記録する）
+ */
+
+/**
+ * @param {object} config loadConfig() の設定
+ * @param {object} [options]
+ * @param {boolean} [options.drafts] 下書き・予約投稿を含めたプレビュー（previewDir に出力）
+ * @param {boolean} [options.production] 本番ビルド
+ * @param {Date} [options.now] 現在時刻
+ * @returns {BuildContext}
+ */
+function createContext(config, { drafts = false, production = false, now = new Date() } = {}) {
+	const { paths } = config;
+	return {
+		config,
+		root: config.root,
+		paths,
+		site: config.site,
+		features: config.features,
+		outDir: drafts ? paths.previewDir : paths.outDir,
+		cacheFile: path.join(paths.cacheDir, drafts ? 'build-cache-preview.json' : 'build-cache.json'),
+		production,
+		now,
+		cache: null,
+		assetNames: new Map(),
+		authors: new Map(),
+		tagSlugs: new Map(),
+		renderedPosts: new Map(),
+		templateWarnings: new Set(),
+		pageWarnings: null,
+	};
+}
+
+function absoluteUrl(ctx, relPath) {
+	return new URL(relPath, ctx.site.url).href;
+}
+
+// ===========================
+//  言語
+//  scripts/lib/i18n.mjs の LANGUAGES（先頭が既定の言語）。
+//  ポータル（トップ・タグ・著者・アーカイブ）・フィード・検索は既定の言語だけ、
+//  ブログ一覧と記事ページは言語ごとに <lang>/blogs/<slug>/ に出力する
+// ===========================
+
+const LANGS = [DEFAULT_LANG, ...Object.keys(LANGUAGES).filter(lang => lang !== DEFAULT_LANG)];
+const DEFAULT_STRINGS = uiStrings(DEFAULT_LANG);
+
+// 言語の出力ディレクトリ（サイトのルートからの相対パス、既定の言語は ''）
+function langDir(lang) {
+	return lang === DEFAULT_LANG ? '' : `${lang}/`;
+}
+
+// 言語の切り替えのリンク。urlOf(lang) はその言語の版の URL。言語が1つなら出さない
+function langLinksVars(lang, urlOf) {
+	if (LANGS.length < 2) return [];
+	return LANGS.map(l => ({ LANG: l, LABEL: LANGUAGES[l].label, URL: urlOf(l), CURRENT: l === lang }));
+}
+
+// <link rel="alternate" hreflang>。langs は実際にある版の言語（既定の言語を先頭に）
+function alternatesVars(langs, urlOf) {
+	if (langs.length < 2) return [];
+	return [...langs.map(l => ({ HREFLANG: l, URL: urlOf(l) })), { HREFLANG: 'x-default', URL: urlOf(DEFAULT_LANG) }];
+}
 
 // ===========================
 //  Frontmatter パーサー
@@ -30,97 +136,116 @@ const DIST = path.join(ROOT, 'docs');
 // ===========================
 
 async function loadGrayMatter() {
-	// 1. 通常のnpm installで入っている場合
-	// 2. 既存グローバルパッケージ内のgray-matterを使う場合
-	const candidates = [
-		'gray-matter',
-		'/home/claude/.npm-global/lib/node_modules/markdown-toc/node_modules/gray-matter/index.js',
-	];
-	for (const mod of candidates) {
-		try {
-			const { default: gm } = await import(mod);
-			return gm;
-		} catch { /* 次を試す */ }
+	try {
+		const { default: gm } = await import('gray-matter');
+		return gm;
+	} catch {
+		throw new Error('gray-matter が見つかりません。\n   npm install gray-matter を実行してください。');
 	}
-	console.error('❌ gray-matter が見つかりません。\n   npm install gray-matter を実行してください。');
-	process.exit(1);
 }
 
 // ===========================
 //  Markdown → HTML 変換
-//  （自作パーサー）
+//  markdown-it（CommonMark + GFM テーブル・取り消し線）
 // ===========================
 
-function renderMarkdown(content) {
+// html: false で本文中の生HTMLはタグとして解釈せずエスケープする（esc() と同じ安全性）
+// javascript: などの危険なURLは markdown-it の validateLink がリンク化しない
+const md = new MarkdownIt('default', {
+	html: false,
+	linkify: true,
+	breaks: true,
+	typographer: false,
+}).use(headingAnchors).use(postImages);
+
+// 見出しには id とアンカーが付き、見出しの一覧が env.headings に入る
+function renderMarkdown(content, env = {}) {
 	if (!content) return '';
-	const lines = content.split('\n');
-	let html = '';
-	let inOl = false;
-	let inUl = false;
-
-	const close = () => {
-		if (inOl) { html += '</ol>\n'; inOl = false; }
-		if (inUl) { html += '</ul>\n'; inUl = false; }
-	};
+	return md.render(content, env);
+}
 
-	for (const raw of lines) {
-		const line = raw;
-
-		if (line.startsWith('### ')) {
-			close();
-			html += `<h3>${esc(line.slice(4))}</h3>\n`;
-		} else if (line.startsWith('## ')) {
-			close();
-			html += `<h2>${esc(line.slice(3))}</h2>\n`;
-		} else if (line.startsWith('# ')) {
-			close();
-			html += `<h1>${esc(line.slice(2))}</h1>\n`;
-		} else if (/^\d+\.\s/.test(line)) {
-			if (inUl) { html += '</ul>\n'; inUl = false; }
-			if (!inOl) { html += '<ol>\n'; inOl = true; }
-			html += `  <li>${esc(line.replace(/^\d+\.\s/, ''))}</li>\n`;
-		} else if (line.startsWith('- ')) {
-			if (inOl) { html += '</ol>\n'; inOl = false; }
-			if (!inUl) { html += '<ul>\n'; inUl = true; }
-			html += `  <li>${esc(line.slice(2))}</li>\n`;
-		} else if (line.trim() === '') {
-			close();
-			html += '\n';
-		} else {
-			close();
-			html += `<p>${esc(line)}</p>\n`;
+// 検索インデックス用のプレーンテキスト（コードブロックの中身も含める）
+function markdownToText(content) {
+	const parts = [];
+	const walk = (tokens) => {
+		for (const token of tokens) {
+			if (token.children) walk(token.children);
+			else if (['text', 'code_inline', 'code_block', 'fence'].includes(token.type)) parts.push(token.content);
+			else if (token.type.endsWith('_close') || token.type.endsWith('break')) parts.push(' ');
 		}
+	};
+	walk(md.parse(content || '', {}));
+	return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+// 記事のアセット（posts/<slug>/ の画像など）を本文から参照するための env（lib/images.mjs）
+function assetEnv(post) {
+	return { assetDir: post.assetDir, assetBase: `${encodeURIComponent(post.slug)}/`, assets: new Set(post.assets) };
+}
+
+// 見出しのアンカーの aria-label はページの言語で付ける（翻訳の無い記事も、その言語のページでは UI の言語）
+function headingEnv(post) {
+	const strings = uiStrings(post.lang);
+	return { ...assetEnv(post), anchorLabel: heading => t(strings, 'HEADING_ANCHOR', { heading }) };
+}
+
+// 記事本文は記事ページとフィードの両方で使うので、内容のハッシュと言語ごとに一度だけ変換する
+// （ctx.renderedPosts はビルドごとに作るので、dev.mjs で何度ビルドしても古い記事の分が溜まらない）
+function renderPost(ctx, post) {
+	const key = `${post.hash}:${post.lang}`;
+	if (!ctx.renderedPosts.has(key)) {
+		const env = headingEnv(post);
+		const content = renderMarkdown(post.content, env);
+		ctx.renderedPosts.set(key, { content, headings: env.headings ?? [] });
 	}
-	close();
-	return html;
+	return ctx.renderedPosts.get(key);
+}
+
+function renderPostContent(ctx, post) {
+	return renderPost(ctx, post).content;
 }
 
-// XSSエスケープ
-function esc(str) {
-	if (!str && str !== 0) return '';
-	return String(str)
-		.replace(/&/g, '&amp;')
-		.replace(/</g, '&lt;')
-		.replace(/>/g, '&gt;')
-		.replace(/"/g, '&quot;');
+// 目次（h2・h3）。toc: false の記事と、見出しが2つ未満の記事は出さない
+const TOC_LEVELS = [2, 3];
+
+function tocOf(ctx, post) {
+	if (!post.toc) return [];
+	const items = renderPost(ctx, post).headings.filter(h => TOC_LEVELS.includes(h.level));
+	return items.length >= 2 ? items.map(h => ({ LEVEL: h.level, ID: h.id, TEXT: h.text })) : [];
 }
 
 // ===========================
 //  テンプレート処理
-//  {{PLACEHOLDER}} を置換
+//  scripts/lib/template.mjs（{{#if}} / {{#each}} / {{> partial}} / フィルター）
 // ===========================
 
-function render(templateStr, vars) {
-	let result = templateStr;
-	for (const [key, val] of Object.entries(vars)) {
-		// {{KEY}} をすべて置換（グローバル）
-		result = result.replaceAll(`{{${key}}}`, val ?? '');
-	}
-	return result;
+// 未解決のプレースホルダーは警告として ctx.templateWarnings に集め、strict ならビルドを失敗させる
+// T（UI の文言）と LANG の既定値は既定の言語。ブログ・記事のページは言語ごとの値で上書きする
+// SITE_TITLE / SITE_DESC は spring-universe.config.js の site（どのテンプレートからも使える）
+function render(ctx, templateStr, vars, { name, partials = {} } = {}) {
+	return renderTemplate(templateStr, { T: DEFAULT_STRINGS, LANG: DEFAULT_LANG, SITE_TITLE: ctx.site.title, SITE_DESC: ctx.site.description, ...vars }, {
+		name,
+		partials,
+		onMissing: (key, tplName, line) => {
+			const warning = `{{${key}}} (${tplName}:${line})`;
+			ctx.templateWarnings.add(warning);
+			ctx.pageWarnings?.push(warning);
+		},
+	});
 }
 
-function readTemplate(relativePath) {
-	const full = path.join(TEMPLATES, relativePath);
+// templates/partials/*.html（全テーマ共通パーシャル）
+function loadPartials(dir) {
+	if (!fs.existsSync(dir)) return {};
+	return Object.fromEntries(
+		fs.readdirSync(dir)
+			.filter(f => f.endsWith('.html'))
+			.map(f => [f.replace(/\.html$/, ''), fs.readFileSync(path.join(dir, f), 'utf-8').trimEnd()])
+	);
+}
+
+function readTemplate(ctx, relativePath) {
+	const full = path.join(ctx.paths.templates, relativePath);
 	if (!fs.existsSync(full)) {
 		throw new Error(`テンプレートが見つかりません: ${full}`);
 	}
@@ -135,534 +260,1641 @@ function ensureDir(dir) {
 	fs.mkdirSync(dir, { recursive: true });
 }
 
-function writeFile(filePath, content) {
+function writeFile(ctx, filePath, content) {
 	ensureDir(path.dirname(filePath));
-	fs.writeFileSync(filePath, content, 'utf-8');
-	console.log(`  ✅ ${path.relative(ROOT, filePath)}`);
-}
-
-// public/ → dist/ に静的アセットをコピー
-function copyDir(src, dest) {
-	if (!fs.existsSync(src)) return;
-	ensureDir(dest);
-	for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
-		const s = path.join(src, entry.name);
-		const d = path.join(dest, entry.name);
-		if (entry.isDirectory()) {
-			copyDir(s, d);
-		} else {
-			fs.copyFileSync(s, d);
+	fs.writeFileSync(filePath, ctx.production ? optimizeOutput(ctx, filePath, content) : content, 'utf-8');
+	console.log(`  ✅ ${path.relative(ctx.root, filePath)}`);
+}
+
+// ページを出力する。入力キーが前回のビルドと同じなら produce を呼ばずにスキップ
+// スキップしたページの未解決のプレースホルダーはキャッシュから報告し直す（--strict が見落とさないように）
+function emitPage(ctx, filePath, key, produce) {
+	if (ctx.cache.isFresh(filePath, key)) {
+		for (const w of ctx.cache.warningsOf(filePath)) ctx.templateWarnings.add(w);
+		return;
+	}
+	const warnings = [];
+	ctx.pageWarnings = warnings;
+	try {
+		writeFile(ctx, filePath, produce());
+	} finally {
+		ctx.pageWarnings = null;
+	}
+	ctx.cache.record(filePath, key, warnings);
+}
+
+// 内容が変わったファイルだけ書き出す
+function writeAsset(ctx, dest, buf) {
+	const key = hash(buf);
+	if (ctx.cache.isFresh(dest, key)) return;
+	ensureDir(path.dirname(dest));
+	fs.writeFileSync(dest, buf);
+	ctx.cache.record(dest, key);
+}
+
+function copyFile(ctx, src, dest) {
+	writeAsset(ctx, dest, fs.readFileSync(src));
+}
+
+// 前回のビルドにあって今回出力しなかったファイルを削除し、空になったディレクトリも消す
+function removeStaleOutputs(ctx) {
+	for (const file of ctx.cache.staleOutputs()) {
+		if (!fs.existsSync(file)) continue;
+		fs.rmSync(file);
+		ctx.cache.markRemoved();
+		console.log(`  🗑️  ${path.relative(ctx.root, file)}`);
+
+		let dir = path.dirname(file);
+		while (dir.startsWith(ctx.outDir + path.sep) && fs.readdirSync(dir).length === 0) {
+			fs.rmdirSync(dir);
+			dir = path.dirname(dir);
+		}
+	}
+}
+
+// ビルドスクリプト自体のハッシュ（変わったらキャッシュを使わない）
+function generatorHash() {
+	const files = [path.join(SCRIPTS, 'build.mjs')];
+	const libDir = path.join(SCRIPTS, 'lib');
+	if (fs.existsSync(libDir)) {
+		files.push(...fs.readdirSync(libDir).sort().map(f => path.join(libDir, f)));
+	}
+	return hash(...files.map(f => fs.readFileSync(f)));
+}
+
+// ===========================
+//  静的アセット・本番ビルド
+//  public/ 以下とテーマの style.css（assets/css/<name>.css）を出力する。
+//  --production では HTML / CSS / JS を圧縮し（scripts/lib/minify.mjs）、
+//  assets/ 以下のファイルは内容のハッシュ入りの名前（terminal.css → terminal.3f2a1b9c.css）にする。
+//  ページと CSS の中の参照もその名前に書き換えるので、テーマを変えても古い CSS が残らない。
+// ===========================
+
+function listAssets(ctx, themes) {
+	const assets = [];
+	const walk = (dir, rel) => {
+		if (!fs.existsSync(dir)) return;
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+			if (entry.isDirectory()) walk(path.join(dir, entry.name), childRel);
+			else assets.push({ rel: childRel, src: path.join(dir, entry.name) });
+		}
+	};
+	walk(ctx.paths.public, '');
+	for (const theme of themes.values()) {
+		if (!fs.existsSync(theme.stylesheet)) {
+			throw new Error(`テーマ ${theme.name} のスタイルシートがありません: ${path.relative(ctx.root, theme.stylesheet)}`);
+		}
+		assets.push({ rel: `assets/css/${theme.name}.css`, src: theme.stylesheet });
+	}
+	return assets;
+}
+
+// 相対 URL が指す出力ファイル（outDir からの相対パス）。from はその URL を書いたファイル
+function resolveOutputRef(url, from) {
+	if (/^([a-z][a-z\d+.-]*:|\/|#)/i.test(url)) return null;
+	try {
+		return path.posix.normalize(path.posix.join(path.posix.dirname(from), decodeURI(url)));
+	} catch {
+		return null;
+	}
+}
+
+// src / href / url() の相対 URL のうち、ハッシュ入りの名前にしたアセットを指すものを書き換える
+function rewriteAssetRefs(ctx, content, from, pattern) {
+	return content.replace(pattern, (m, before, url, after) => {
+		const [, pathPart, suffix] = /^([^?#]*)(.*)$/.exec(url);
+		const hashed = ctx.assetNames.get(resolveOutputRef(pathPart, from));
+		if (!hashed) return m;
+		const name = path.posix.basename(hashed);
+		const dir = pathPart.slice(0, pathPart.lastIndexOf('/') + 1);
+		return `${before}${dir}${pathPart === decodeURI(pathPart) ? name : encodeURI(name)}${suffix}${after}`;
+	});
+}
+
+const HTML_REF_RE = /(\s(?:src|href)=")([^"]+)(")/g;
+const CSS_REF_RE = /(url\(\s*['"]?)([^'")]+)(['"]?\s*\))/g;
+
+// assets/ 以下のファイルの出力内容と出力先を決める（本番ビルドでは圧縮してハッシュ入りの名前にし、ctx.assetNames に入れる）
+// CSS の url() が指すファイルの名前を先に決めるため、CSS は最後に処理する
+function prepareAssets(ctx, themes) {
+	const assets = listAssets(ctx, themes).map(asset => ({ ...asset, dest: asset.rel }));
+	if (!ctx.production) return assets;
+
+	const isCss = asset => asset.rel.endsWith('.css');
+	for (const asset of [...assets.filter(a => !isCss(a)), ...assets.filter(isCss)]) {
+		let content = fs.readFileSync(asset.src);
+		if (isCss(asset)) content = Buffer.from(minifyCss(rewriteAssetRefs(ctx, content.toString('utf-8'), asset.rel, CSS_REF_RE)));
+		else if (asset.rel.endsWith('.js')) content = Buffer.from(minifyJs(content.toString('utf-8')));
+		asset.content = content;
+		if (asset.rel.startsWith('assets/')) {
+			const ext = path.posix.extname(asset.rel);
+			asset.dest = `${asset.rel.slice(0, -ext.length || undefined)}.${hash(content).slice(0, 8)}${ext}`;
+			ctx.assetNames.set(asset.rel, asset.dest);
 		}
 	}
+	return assets;
+}
+
+function emitAssets(ctx, assets) {
+	for (const asset of assets) {
+		const dest = path.join(ctx.outDir, ...asset.dest.split('/'));
+		if (asset.content) writeAsset(ctx, dest, asset.content);
+		else copyFile(ctx, asset.src, dest);
+	}
+}
+
+// 本番ビルドで書き出すページの後処理（HTML だけ。フィード・サイトマップはそのまま）
+function optimizeOutput(ctx, filePath, content) {
+	if (!filePath.endsWith('.html')) return content;
+	const rel = path.relative(ctx.outDir, filePath).split(path.sep).join('/');
+	return minifyHtml(rewriteAssetRefs(ctx, content, rel, HTML_REF_RE));
+}
+
+// ===========================
+//  ビルドマニフェスト
+//  build-manifest.json に、今回のビルドの出力ファイルすべてのサイズとハッシュを書く。
+//  assets にはハッシュ入りの名前にしたアセットの対応（本番ビルドのみ）
+// ===========================
+
+const MANIFEST_FILE = 'build-manifest.json';
+
+function emitManifest(ctx) {
+	const files = ctx.cache.outputs()
+		.filter(rel => rel !== MANIFEST_FILE)
+		.sort()
+		.map(rel => {
+			const buf = fs.readFileSync(path.join(ctx.outDir, ...rel.split('/')));
+			return { path: rel, size: buf.length, hash: hash(buf) };
+		});
+	const manifest = {
+		production: ctx.production,
+		assets: Object.fromEntries(ctx.assetNames),
+		files,
+	};
+	const json = `${JSON.stringify(manifest, null, 2)}\n`;
+	emitPage(ctx, path.join(ctx.outDir, MANIFEST_FILE), hash(json), () => json);
 }
 
 // ===========================
 //  記事一覧を読み込む
 // ===========================
 
-function loadPosts(blogSlug, matter) {
-	const postsDir = path.join(CONTENT, 'blogs', blogSlug, 'posts');
+// YAML の date: 2026-02-01 は gray-matter が Date に変換するので YYYY-MM-DD に戻す
+function normalizeDate(value) {
+	if (value instanceof Date) return value.toISOString().slice(0, 10);
+	return String(value).slice(0, 10);
+}
+
+// 公開日時。publishAt があればそれ、無ければ date の日本時間0時
+function publishTimeOf(fm, date, file) {
+	if (fm.publishAt == null) return new Date(toIsoDateTime(date));
+	const time = parsePublishAt(fm.publishAt);
+	if (!time) throw new Error(`publishAt の形式が不正です: ${file} (${fm.publishAt})`);
+	return time;
+}
+
+// 本文の文字数（空白・改行と Markdown の記号は数えない）と読了時間（分、最低1分）
+// 読む速さは言語ごと（LANGUAGES の charsPerMinute。日本語の黙読は一般に 1分 400〜600字とされる）
+function lengthOf(content, lang = DEFAULT_LANG) {
+	const charCount = [...markdownToText(content).replace(/\s+/g, '')].length;
+	return { charCount, readingTime: Math.max(1, Math.ceil(charCount / LANGUAGES[lang].charsPerMinute)) };
+}
+
+function formatCount(n, lang = DEFAULT_LANG) {
+	return n.toLocaleString(LANGUAGES[lang].locale);
+}
+
+// 記事カード・記事ページの読了時間と文字数の表示
+function lengthVars(post, strings, lang) {
+	const minutes = post.readingTime;
+	const count = formatCount(post.charCount, lang);
+	return {
+		POST_CHAR_COUNT: count,
+		POST_READING_TIME: minutes,
+		POST_READING_LABEL: t(strings, 'READING_TIME', { minutes }),
+		POST_CHARS_LABEL: t(strings, 'CHAR_COUNT', { count }),
+		POST_LENGTH_LABEL: t(strings, 'READING_LENGTH', { minutes, count }),
+	};
+}
+
+// 翻訳の記事ファイル名の末尾（<slug>.en.md・index.en.md）
+// LANGUAGES にある言語だけを見る（node.js.md の「js」などは slug の一部）
+const TRANSLATION_FILE_RE = new RegExp(`^(.+)\\.(${LANGS.filter(l => l !== DEFAULT_LANG).join('|')})\\.md$`);
+
+/**
+ * posts/ の記事ファイル
+ * <slug>.md と、画像などを同じディレクトリに置ける <slug>/index.md の2通り。
+ * 翻訳は <slug>.<lang>.md と <slug>/index.<lang>.md（lang は既定の言語以外）
+ * @param {string} postsDir
+ * @returns {Array<{ slug: string, lang: string, file: string, assetDir: string | null }>} slug・言語の順
+ */
+function listPostFiles(postsDir) {
 	if (!fs.existsSync(postsDir)) return [];
+	const entries = [];
+	for (const entry of fs.readdirSync(postsDir, { withFileTypes: true })) {
+		if (entry.isFile() && entry.name.endsWith('.md')) {
+			const [, slug, lang] = TRANSLATION_FILE_RE.exec(entry.name) ?? [, entry.name.replace(/\.md$/, ''), DEFAULT_LANG];
+			entries.push({ slug, lang, file: path.join(postsDir, entry.name), assetDir: null });
+		} else if (entry.isDirectory()) {
+			const dir = path.join(postsDir, entry.name);
+			for (const name of fs.readdirSync(dir)) {
+				const m = TRANSLATION_FILE_RE.exec(name);
+				const lang = name === 'index.md' ? DEFAULT_LANG : m?.[1] === 'index' ? m[2] : null;
+				if (lang) entries.push({ slug: entry.name, lang, file: path.join(dir, name), assetDir: dir });
+			}
+		}
+	}
+	const langOrder = (lang) => (lang === DEFAULT_LANG ? '' : lang);
+	return entries.sort((a, b) => (a.slug < b.slug ? -1 : a.slug > b.slug ? 1
+		: langOrder(a.lang) < langOrder(b.lang) ? -1 : langOrder(a.lang) > langOrder(b.lang) ? 1 : a.assetDir ? 1 : -1));
+}
 
-	const posts = [];
-	for (const file of fs.readdirSync(postsDir)) {
-		if (!file.endsWith('.md')) continue;
+// <slug>/ の中の記事以外のファイル（サブディレクトリも含む。. で始まるものと .md は除く）
+function listPostAssets(dir, prefix = '') {
+	if (!dir) return [];
+	const assets = [];
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		if (entry.name.startsWith('.')) continue;
+		const rel = `${prefix}${entry.name}`;
+		if (entry.isDirectory()) assets.push(...listPostAssets(path.join(dir, entry.name), `${rel}/`));
+		else if (!entry.name.endsWith('.md')) assets.push(rel);
+	}
+	return assets.sort();
+}
 
-		const raw = fs.readFileSync(path.join(postsDir, file), 'utf-8');
+/**
+ * ブログの記事を読み込む
+ * 通常は下書き（draft: true）と公開日時前の記事（予約投稿）を除く。
+ * 翻訳は元の記事の translations（言語 → 翻訳）に入る
+ * @param {string} blogSlug
+ * @param {Function} matter gray-matter
+ * @param {object} [options]
+ * @param {boolean} [options.drafts] 下書き・予約投稿も含める（status に 'draft' / 'scheduled' が入る）
+ * @param {Date} [options.now] 予約投稿の判定に使う現在時刻
+ */
+function loadPosts(ctx, blogSlug, matter, { drafts = false, now = new Date() } = {}) {
+	const postsDir = path.join(ctx.paths.content, 'blogs', blogSlug, 'posts');
+
+	const files = listPostFiles(postsDir);
+	const posts = [];
+	for (const { slug, file, assetDir } of files.filter(f => f.lang === DEFAULT_LANG)) {
+		const raw = fs.readFileSync(file, 'utf-8');
 		const parsed = matter(raw);
 		const fm = parsed.data;
 
-		// --- Frontmatter バリデーション ---
-		const missing = [];
-		if (!fm.title) missing.push('title');
-		if (!fm.date) missing.push('date');
-		if (!fm.author) missing.push('author');
-		if (missing.length) {
-			console.error(`❌ Frontmatter必須項目不足: ${blogSlug}/posts/${file} (不足: ${missing.join(', ')})`);
-			process.exit(1);
-		}
+		// draft: true と予約投稿は --drafts のときだけ含める
+		const date = normalizeDate(fm.date);
+		const publishAt = publishTimeOf(fm, date, path.relative(ctx.paths.content, file));
+		const status = fm.draft ? 'draft' : publishAt > now ? 'scheduled' : '';
+		if (status && !drafts) continue;
 
-		// draft: true はスキップ
-		if (fm.draft) continue;
-
-		const slug = file.replace(/\.md$/, '');
-		posts.push({
+		// アセットの中身が変わったら記事ページも作り直す（画像の縦横が変わるため）
+		const assets = listPostAssets(assetDir);
+		const assetHashes = assets.map(rel => [rel, hash(fs.readFileSync(path.join(assetDir, ...rel.split('/'))))]);
+		const post = {
 			slug,
+			blogSlug,
+			lang: DEFAULT_LANG,
 			title: fm.title,
-			date: String(fm.date).slice(0, 10),
+			date,
+			status,
+			publishAt: publishAt.toISOString(),
+			toc: fm.toc !== false,
+			related: fm.related ?? [],
+			relatedExclude: fm.relatedExclude ?? [],
+			series: fm.series?.trim() ?? '',
+			seriesOrder: fm.seriesOrder ?? null,
+			...lengthOf(parsed.content),
 			author: fm.author,
 			excerpt: fm.excerpt || '',
-			tags: Array.isArray(fm.tags) ? fm.tags : [],
+			// tags: [2026] のような数値のタグも文字列にそろえる（タグページ・フィルターで同じタグとして扱う）
+			tags: Array.isArray(fm.tags) ? fm.tags.map(String) : [],
+			image: postImageOf(fm.image, { blogSlug, slug, assets }),
 			content: parsed.content,
-		});
+			assetDir,
+			assets,
+			hash: hash(raw, assetHashes),
+		};
+		const translationFiles = files.filter(f => f.slug === slug && f.lang !== DEFAULT_LANG && LANGUAGES[f.lang]);
+		post.translations = loadTranslations(post, translationFiles, matter, { drafts, assetHashes });
+		posts.push(post);
 	}
 
 	// 日付降順ソート
 	return posts.sort((a, b) => (a.date < b.date ? 1 : -1));
 }
 
+// 翻訳は title・本文と、書かれていれば excerpt・image・toc だけを元の記事から差し替える
+// 翻訳の下書き（draft: true）は --drafts のときだけ含める
+function loadTranslations(post, translationFiles, matter, { drafts, assetHashes }) {
+	const translations = new Map();
+	for (const { lang, file } of translationFiles) {
+		const raw = fs.readFileSync(file, 'utf-8');
+		const parsed = matter(raw);
+		const fm = parsed.data;
+		if (fm.draft && !drafts) continue;
+		translations.set(lang, {
+			title: fm.title,
+			status: fm.draft ? 'draft' : post.status,
+			toc: fm.toc ?? post.toc,
+			...lengthOf(parsed.content, lang),
+			excerpt: fm.excerpt || post.excerpt,
+			image: fm.image ? postImageOf(fm.image, post) : post.image,
+			content: parsed.content,
+			hash: hash(raw, assetHashes),
+		});
+	}
+	return translations;
+}
+
+/**
+ * 記事をその言語の版にする（既定の言語ならそのまま）
+ * 翻訳が無ければ元の記事の内容のままで translated が false になる
+ * @returns {object} original に元の記事が入る
+ */
+function localizePost(post, lang) {
+	if (lang === post.lang) return post;
+	const translation = post.translations.get(lang);
+	return { ...post, ...translation, lang, original: post, translated: !!translation };
+}
+
+function originalOf(post) {
+	return post.original ?? post;
+}
+
+// 記事ページのパス（サイトのルートからの相対パス）
+function postPath(post) {
+	return `${langDir(post.lang)}blogs/${post.blogSlug}/posts/${post.slug}.html`;
+}
+
+// Frontmatter の image が記事のアセットなら、サイトのルートからのパスにする（OGP 用）
+function postImageOf(image, { blogSlug, slug, assets }) {
+	if (!image) return '';
+	const rel = String(image).replace(/^\.\//, '');
+	return assets.includes(rel) ? `blogs/${blogSlug}/posts/${slug}/${rel}` : image;
+}
+
+// 記事ページの DRAFT バナーの文言（公開済みの記事は空）
+function draftStatusOf(post, strings = DEFAULT_STRINGS) {
+	if (post.status === 'draft') return strings.DRAFT;
+	if (post.status === 'scheduled') {
+		const at = new Date(post.publishAt).toLocaleString(LANGUAGES[post.lang].locale, { timeZone: 'Asia/Tokyo', dateStyle: 'medium', timeStyle: 'short' });
+		return t(strings, 'SCHEDULED', { at });
+	}
+	return '';
+}
+
+// ===========================
+//  コンテンツの検証
+//  blogs.json・テーマ・全記事の Frontmatter を調べ、問題をすべて集める
+// ===========================
+
+function validateSite(ctx, matter) {
+	const relPath = (p) => path.relative(ctx.root, p).split(path.sep).join('/');
+	const { themeNames, problems } = validateThemes(ctx.paths.themes, {
+		root: ctx.root,
+		templates: THEME_TEMPLATES,
+		partials: THEME_PARTIALS,
+		languages: new Set(LANGS),
+		stringKeys: new Set(Object.keys(STRINGS[DEFAULT_LANG])),
+	});
+	const translationLangs = new Set(LANGS.filter(lang => lang !== DEFAULT_LANG));
+
+	// 著者の ID は blogs.json と記事の author から参照される
+	// authors.json 自体が読めないときは、参照先の問題を重ねて出さないよう ID の照合をしない
+	const authorsJsonPath = path.join(ctx.paths.content, 'authors.json');
+	let authorIds;
+	if (!fs.existsSync(authorsJsonPath)) {
+		problems.push({ file: relPath(authorsJsonPath), line: 0, message: 'ファイルが見つかりません' });
+	} else {
+		const { authors, problems: authorProblems } = validateAuthors(fs.readFileSync(authorsJsonPath, 'utf-8'), { file: relPath(authorsJsonPath) });
+		problems.push(...authorProblems);
+		if (authors.length || !authorProblems.length) {
+			authorIds = new Set(authors.map(author => author?.id).filter(id => typeof id === 'string' && id));
+		}
+	}
+
+	const blogsJsonPath = path.join(ctx.paths.content, 'blogs.json');
+	if (!fs.existsSync(blogsJsonPath)) {
+		problems.push({ file: relPath(blogsJsonPath), line: 0, message: 'ファイルが見つかりません' });
+		return problems;
+	}
+	const { blogs, problems: blogProblems } = validateBlogs(fs.readFileSync(blogsJsonPath, 'utf-8'), {
+		file: relPath(blogsJsonPath),
+		themeNames,
+		defaultTheme: DEFAULT_THEME,
+		authorIds,
+		languages: translationLangs,
+	});
+	problems.push(...blogProblems);
+
+	// slug が重複していても記事は1回だけ調べる
+	const slugs = new Set(blogs.map(blog => blog?.slug).filter(slug => typeof slug === 'string' && slug));
+	const validPosts = [];
+	for (const slug of slugs) {
+		const seen = new Map();
+		for (const { slug: postSlug, lang, file: full } of listPostFiles(path.join(ctx.paths.content, 'blogs', slug, 'posts'))) {
+			// <slug>.md と <slug>/index.md の両方があると出力先が重なる（翻訳も同じ）
+			const key = `${postSlug}.${lang}`;
+			if (seen.has(key)) {
+				problems.push({ file: relPath(full), line: 0, message: `記事の slug "${postSlug}"${lang === DEFAULT_LANG ? '' : `（${lang}）`} が ${seen.get(key)} と重複しています` });
+				continue;
+			}
+			seen.set(key, relPath(full));
+			const translation = lang !== DEFAULT_LANG;
+			if (translation) {
+				if (!translationLangs.has(lang)) {
+					problems.push({ file: relPath(full), line: 0, message: `翻訳の言語 "${lang}" はありません（利用可能: ${[...translationLangs].join(', ') || 'なし'}）` });
+					continue;
+				}
+				// 一覧は slug・言語の順なので、元の記事は先に見つかっている
+				if (!seen.has(`${postSlug}.${DEFAULT_LANG}`)) {
+					problems.push({ file: relPath(full), line: 0, message: `翻訳の元の記事 "${postSlug}" がありません` });
+					continue;
+				}
+			}
+			const src = fs.readFileSync(full, 'utf-8');
+			const postProblems = validateFrontmatter(src, { file: relPath(full), matter, authorIds, translation });
+			problems.push(...postProblems);
+			if (postProblems.length === 0 && !translation) {
+				validPosts.push({ file: relPath(full), src, blogSlug: slug, slug: postSlug, data: matter(src).data });
+			}
+		}
+	}
+
+	// 記事どうしの参照（関連記事の固定・除外）
+	problems.push(...validatePostRefs(validPosts));
+	return problems;
+}
+
+function formatProblems(problems) {
+	return problems.map(p => `   ${formatProblem(p)}`).join('\n');
+}
+
+/**
+ * ビルドせずにコンテンツを検証する（scripts/check.mjs から使う）
+ * @param {object} [options]
+ * @param {string} [options.root] プロジェクトのルート（既定: カレントディレクトリ）
+ * @param {string} [options.configFile] 設定ファイル（既定: <root>/spring-universe.config.js）
+ * @returns {Promise<Array<{file: string, line: number, message: string}>>} 見つかった問題
+ */
+export async function check({ root, configFile } = {}) {
+	const ctx = createContext(await loadConfig({ root, file: configFile }));
+	const matter = await loadGrayMatter();
+	const problems = validateSite(ctx, matter);
+	if (problems.length) {
+		console.error(`\n❌ ${problems.length}件の問題が見つかりました\n${formatProblems(problems)}\n`);
+	} else {
+		console.log('\n✅ 問題は見つかりませんでした\n');
+	}
+	return problems;
+}
+
+// ===========================
+//  テーマパッケージ
+//  themes/<name>/ を自動検出
+//
+//  themes/<name>/
+//    theme.json          マニフェスト（name, label, description, stylesheet, strings）
+//                        strings.<lang>.<KEY> で UI の文言（scripts/lib/i18n.mjs）を上書きできる
+//    blog-list.html      ブログ一覧ページ
+//    post.html           記事ページ
+//    style.css           assets/css/<name>.css として出力
+//    partials/           templates/partials/ の共通パーシャルを上書きできる
+//      post-card.html    記事カード
+//      tag.html          タグ（記事ヘッダー・カード用）
+//      tag-filter.html   タグフィルター枠
+//      tag-button.html   タグフィルターのボタン
+//      nav-card.html     前後記事ナビ
+//      search-box.html   全文検索の入力欄と結果リスト
+//      pagination.html   ページ送り
+//      calendar.html     カレンダーと月別アーカイブ
+//      related-posts.html 関連記事（中身は post-card で描画）
+//      series-box.html   シリーズの「第N回 / 全M回」と回の一覧
+//      lang-switch.html  言語の切り替え
+// ===========================
+
+export const DEFAULT_THEME = 'word-retro';
+const THEME_TEMPLATES = ['blog-list', 'post'];
+const THEME_PARTIALS = ['post-card', 'tag', 'tag-filter', 'tag-button', 'nav-card', 'search-box', 'pagination', 'calendar', 'related-posts', 'series-box', 'lang-switch'];
+
+function loadThemes(ctx, sharedPartials) {
+	if (!fs.existsSync(ctx.paths.themes)) {
+		throw new Error(`テーマディレクトリが見つかりません: ${ctx.paths.themes}`);
+	}
+
+	const themes = new Map();
+	for (const entry of fs.readdirSync(ctx.paths.themes, { withFileTypes: true })) {
+		if (!entry.isDirectory()) continue;
+		const dir = path.join(ctx.paths.themes, entry.name);
+		const manifestPath = path.join(dir, 'theme.json');
+		if (!fs.existsSync(manifestPath)) {
+			throw new Error(`theme.json がありません: themes/${entry.name}/`);
+		}
+
+		const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+		if (manifest.name !== entry.name) {
+			throw new Error(`theme.json の name (${manifest.name}) がディレクトリ名と一致しません: themes/${entry.name}/`);
+		}
+
+		const readPart = (rel) => {
+			const full = path.join(dir, rel);
+			if (!fs.existsSync(full)) {
+				throw new Error(`テーマ ${entry.name} に ${rel} がありません`);
+			}
+			return fs.readFileSync(full, 'utf-8');
+		};
+
+		const templates = Object.fromEntries(THEME_TEMPLATES.map(n => [n, readPart(`${n}.html`)]));
+		const partials = {
+			...sharedPartials,
+			...loadPartials(path.join(dir, 'partials')),
+			...Object.fromEntries(THEME_PARTIALS.map(n => [n, readPart(`partials/${n}.html`).trimEnd()])),
+		};
+
+		themes.set(entry.name, {
+			name: entry.name,
+			dir,
+			manifest,
+			stylesheet: path.join(dir, manifest.stylesheet || 'style.css'),
+			templates,
+			partials,
+			// テンプレート・パーシャルが変わったらこのテーマのページを再生成する
+			hash: hash(manifest, templates, partials),
+		});
+	}
+	return themes;
+}
+
+// テーマをその言語で使う（strings はテンプレートの {{T.KEY}}）
+function themeFor(theme, lang) {
+	return { ...theme, lang, strings: uiStrings(lang, theme.manifest.strings) };
+}
+
+function resolveTheme(themes, blog) {
+	const name = blog.theme || DEFAULT_THEME;
+	const theme = themes.get(name);
+	if (!theme) {
+		throw new Error(`ブログ ${blog.slug} のテーマ "${name}" は存在しません（利用可能: ${[...themes.keys()].join(', ')}）`);
+	}
+	return theme;
+}
+
 // ===========================
 //  テーマ別パーツ生成
+//  partials/*.html に値を流し込む（エスケープはテンプレートエンジンが行う）
 // ===========================
 
+function renderPartial(ctx, theme, name, vars) {
+	return render(ctx, theme.partials[name], { T: theme.strings, LANG: theme.lang, ...vars }, { name: `themes/${theme.name}/partials/${name}.html`, partials: theme.partials });
+}
+
+// キャッシュキー用: 記事カード・前後ナビに出る項目
+function cardSummary(ctx, post) {
+	return {
+		slug: post.slug, title: post.title, date: post.date, excerpt: post.excerpt, author: authorName(ctx, post.author), tags: post.tags,
+		charCount: post.charCount, readingTime: post.readingTime,
+	};
+}
+
+function navSummary(post) {
+	return post && { slug: post.slug, title: post.title, date: post.date };
+}
+
 // ----- 記事リスト HTML -----
-function buildPostListHtml(posts, blogSlug, theme) {
+function buildPostListHtml(ctx, posts, theme, rootPath) {
 	if (posts.length === 0) {
-		return '<p style="color:#999;padding:20px 0">記事がまだありません</p>';
+		return `<p style="color:#999;padding:20px 0">${esc(theme.strings.NO_POSTS)}</p>`;
+	}
+
+	return posts.map(post => renderPartial(ctx, theme, 'post-card', {
+		POST_URL: `${rootPath}${postPath(post)}`,
+		POST_TITLE: post.title,
+		POST_DATE: post.date,
+		POST_EXCERPT: post.excerpt,
+		POST_AUTHOR: authorName(ctx, post.author),
+		POST_AUTHOR_URL: authorUrl(post.author, rootPath),
+		POST_TAGS: html(buildTagsHtml(ctx, post.tags, theme, rootPath)),
+		// JSON の配列（カンマを含むタグも分けずに tag-filter.js へ渡す）
+		POST_TAGS_DATA: JSON.stringify(post.tags),
+		...lengthVars(post, theme.strings, theme.lang),
+	})).join('\n');
+}
+
+// ----- タグフィルター HTML -----
+// 絞り込むのは表示中のページの記事だけなので、ページ送りがあればその旨（TAG_SCOPE）を添える
+function buildTagFilterHtml(ctx, posts, theme, pagination) {
+	// 一覧に出ている記事のうち、そのタグが付いている件数
+	const counts = new Map();
+	for (const tag of posts.flatMap(p => [...new Set(p.tags)])) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+	if (counts.size === 0) return '';
+
+	const scope = pagination.TOTAL_PAGES > 1
+		? t(theme.strings, 'TAG_SCOPE_PAGE', { page: pagination.CURRENT_PAGE, pages: pagination.TOTAL_PAGES })
+		: '';
+	return renderPartial(ctx, theme, 'tag-filter', { TAGS: [...counts].map(([tag, count]) => ({ TAG: tag, COUNT: count })), TAG_SCOPE: scope });
+}
+
+// ----- 前後記事ナビ HTML -----
+function buildNavCard(ctx, post, label, theme) {
+	if (!post) return '<div></div>';
+
+	return renderPartial(ctx, theme, 'nav-card', {
+		NAV_URL: `${post.slug}.html`,
+		NAV_LABEL: label,
+		NAV_TITLE: post.title,
+		NAV_DATE: post.date,
+	});
+}
+
+// ----- 関連記事 HTML（記事ページから見たパスでテーマの記事カードを並べる） -----
+function buildRelatedPostsHtml(ctx, posts, theme, rootPath) {
+	if (posts.length === 0) return '';
+	return renderPartial(ctx, theme, 'related-posts', { RELATED_LIST: html(buildPostListHtml(ctx, posts, theme, rootPath)) });
+}
+
+// ----- 目次 HTML -----
+function buildTocHtml(ctx, items, theme) {
+	if (items.length === 0) return '';
+	return renderPartial(ctx, theme, 'toc', { TOC: items });
+}
+
+// ----- タグ HTML（記事ヘッダー・カード用、タグページへのリンク） -----
+function buildTagsHtml(ctx, tags, theme, rootPath) {
+	if (!tags || tags.length === 0) return '';
+	return tags.map(t => renderPartial(ctx, theme, 'tag', { TAG: t, TAG_URL: tagUrl(ctx, t, rootPath) })).join('');
+}
+
+// ===========================
+//  ページ送り
+//  1ページ目は <dir>/index.html、2ページ目以降は <dir>/page/<n>/index.html
+// ===========================
+
+function postsPerPage(ctx, blog) {
+	const value = blog.postsPerPage ?? ctx.config.posts.perPage;
+	if (!Number.isInteger(value) || value < 1) {
+		throw new Error(`ブログ ${blog.slug} の postsPerPage は1以上の整数にしてください: ${value}`);
+	}
+	return value;
+}
+
+function paginate(items, perPage) {
+	const pages = [];
+	for (let i = 0; i < items.length; i += perPage) pages.push(items.slice(i, i + perPage));
+	return pages.length ? pages : [[]];
+}
+
+// baseDir: 1ページ目のディレクトリ（サイトのルートからの相対パス、末尾は /）
+function pageDir(baseDir, page) {
+	return page === 1 ? baseDir : `${baseDir}page/${page}/`;
+}
+
+// 出力ディレクトリからサイトのルートへの相対パス
+function rootPathOf(relDir) {
+	return '../'.repeat(relDir.split('/').filter(Boolean).length);
+}
+
+// 最初・最後のページと現在のページの前後2ページを出し、間は null（…）で省略する
+function pageNumbers(current, total) {
+	const numbers = [];
+	for (let n = 1; n <= total; n++) {
+		if (n === 1 || n === total || Math.abs(n - current) <= 2) {
+			numbers.push(n);
+		} else if (numbers[numbers.length - 1] !== null) {
+			numbers.push(null);
+		}
+	}
+	return numbers;
+}
+
+function paginationVars(baseDir, current, total) {
+	const rootPath = rootPathOf(pageDir(baseDir, current));
+	const url = (n) => `${rootPath}${pageDir(baseDir, n)}index.html`;
+	return {
+		CURRENT_PAGE: current,
+		TOTAL_PAGES: total,
+		PREV_URL: current > 1 ? url(current - 1) : '',
+		NEXT_URL: current < total ? url(current + 1) : '',
+		PAGES: pageNumbers(current, total).map(n => (n === null
+			? { NUMBER: '', URL: '', CURRENT: false, GAP: true }
+			: { NUMBER: n, URL: url(n), CURRENT: n === current, GAP: false })),
+	};
+}
+
+// 1ページしかなければ何も出さない
+function buildPaginationHtml(ctx, pagination, template, { name, partials, strings = DEFAULT_STRINGS }) {
+	if (pagination.TOTAL_PAGES <= 1) return '';
+	return render(ctx, template, { T: strings, ...pagination }, { name, partials });
+}
+
+// ===========================
+//  関連記事
+//  全ブログの記事から、共通のタグが多い順に選ぶ。
+//  posts.relatedHalfLifeDays が 0 でなければ、サイトの最新記事から古いほど点数を下げる。
+//  Frontmatter の related（先頭に固定）・relatedExclude（除外）で調整できる。
+//  記事は "<ブログのslug>/<記事のslug>"、同じブログなら "<記事のslug>" だけでも指定できる。
+// ===========================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function postRef(post) {
+	return `${post.blogSlug}/${post.slug}`;
+}
+
+function resolvePostRefs(refs, post, byRef) {
+	return refs
+		.map(ref => byRef.get(ref.includes('/') ? ref : `${post.blogSlug}/${ref}`))
+		.filter(Boolean);
+}
+
+function relatedScore(ctx, post, other, newest) {
+	const shared = other.tags.filter(tag => post.tags.includes(tag)).length;
+	const halfLifeDays = ctx.config.posts.relatedHalfLifeDays;
+	if (shared === 0 || !halfLifeDays) return shared;
+	const ageDays = (Date.parse(newest) - Date.parse(other.date)) / DAY_MS;
+	return shared * 0.5 ** (ageDays / halfLifeDays);
+}
+
+// 記事 → 関連記事の配列
+function relatedPostsMap(ctx, posts) {
+	const byRef = new Map(posts.map(p => [postRef(p), p]));
+	const newest = posts.reduce((max, p) => (p.date > max ? p.date : max), '');
+	const related = new Map();
+
+	for (const post of posts) {
+		const pinned = [...new Set(resolvePostRefs(post.related, post, byRef))].filter(p => p !== post);
+		const excluded = new Set([post, ...pinned, ...resolvePostRefs(post.relatedExclude, post, byRef)]);
+
+		const scored = posts
+			.filter(other => !excluded.has(other))
+			.map(other => ({ other, score: relatedScore(ctx, post, other, newest) }))
+			.filter(({ score }) => score > 0)
+			.sort((a, b) => b.score - a.score || (a.other.date < b.other.date ? 1 : -1))
+			.map(({ other }) => other);
+
+		related.set(post, [...pinned, ...scored].slice(0, Math.max(ctx.config.posts.relatedLimit, pinned.length)));
+	}
+	return related;
+}
+
+// ===========================
+//  シリーズ
+//  Frontmatter の series が同じ記事を、ブログごとに1つの連載としてまとめる。
+//  回の順番は seriesOrder の昇順（無いものは後ろ）、同じなら日付の古い順。
+//  一覧ページは blogs/<slug>/series/<シリーズのslug>/index.html
+// ===========================
+
+function compareSeriesOrder(a, b) {
+	const order = (a.seriesOrder ?? Infinity) - (b.seriesOrder ?? Infinity);
+	if (order) return order;
+	return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+}
+
+function seriesDir(baseDir, slug) {
+	return `${baseDir}series/${slug}/`;
+}
+
+// ブログの記事 → [{ name, slug, posts }]（シリーズ名の順）
+function groupSeries(posts) {
+	const groups = new Map();
+	for (const post of posts) {
+		if (!post.series) continue;
+		if (!groups.has(post.series)) groups.set(post.series, []);
+		groups.get(post.series).push(post);
+	}
+	const slugs = uniqueSlugs([...groups.keys()], 'series');
+	return [...groups]
+		.sort(([a], [b]) => a.localeCompare(b, 'ja'))
+		.map(([name, seriesPosts]) => ({ name, slug: slugs.get(name), posts: seriesPosts.sort(compareSeriesOrder) }));
+}
+
+// 記事ページから見たシリーズの情報（キャッシュキーにもそのまま使う）
+function seriesVars(post, series, strings = DEFAULT_STRINGS) {
+	if (!series) return null;
+	const index = series.posts.indexOf(post);
+	return {
+		SERIES_TITLE: series.name,
+		SERIES_URL: `../${seriesDir('', encodeURIComponent(series.slug))}index.html`,
+		SERIES_PART: index + 1,
+		SERIES_TOTAL: series.posts.length,
+		SERIES_PART_LABEL: t(strings, 'SERIES_PART', { part: index + 1, total: series.posts.length }),
+		SERIES_POSTS: series.posts.map((p, i) => ({ PART: i + 1, TITLE: p.title, URL: `${p.slug}.html`, CURRENT: p === post })),
+	};
+}
+
+function buildSeriesBoxHtml(ctx, vars, theme) {
+	return vars ? renderPartial(ctx, theme, 'series-box', vars) : '';
+}
+
+// ===========================
+//  日付アーカイブ・カレンダー
+//  <base>archive/<YYYY>/index.html と <base>archive/<YYYY>/<MM>/index.html
+//  base はブログ（blogs/<slug>/）かポータル全体（''）
+// ===========================
+
+// 年月・曜日の表記は言語の locale で Intl に任せる（ja-JP なら「2026年2月」「日」）
+function dateLabel(lang, options, year, month = 1, day = 1) {
+	return new Date(Date.UTC(Number(year), Number(month) - 1, day)).toLocaleDateString(LANGUAGES[lang].locale, { timeZone: 'UTC', ...options });
+}
+
+// 日曜始まり（2023-01-01 は日曜日）
+function weekdaysOf(lang) {
+	return Array.from({ length: 7 }, (_, i) => dateLabel(lang, { weekday: 'short' }, 2023, 1, 1 + i));
+}
+
+// 年 → 月 → 記事。記事が新しい順なら年・月も新しい順になる
+function groupByMonth(posts) {
+	const years = new Map();
+	for (const post of posts) {
+		const [year, month] = post.date.split('-');
+		if (!years.has(year)) years.set(year, new Map());
+		const months = years.get(year);
+		if (!months.has(month)) months.set(month, []);
+		months.get(month).push(post);
+	}
+	return years;
+}
+
+function archiveDir(baseDir, year, month) {
+	return month ? `${baseDir}archive/${year}/${month}/` : `${baseDir}archive/${year}/`;
+}
+
+function archiveOf(year, month, lang = DEFAULT_LANG) {
+	const label = month
+		? dateLabel(lang, { year: 'numeric', month: 'long' }, year, month)
+		: dateLabel(lang, { year: 'numeric' }, year);
+	return { year, month, label };
+}
+
+// 年ごとの記事数と、その中の月ごとの記事数
+function archiveYearsVars(groups, baseDir, rootPath, current = {}, lang = DEFAULT_LANG) {
+	return [...groups].map(([year, months]) => ({
+		YEAR: Number(year),
+		LABEL: dateLabel(lang, { year: 'numeric' }, year),
+		URL: `${rootPath}${archiveDir(baseDir, year)}index.html`,
+		COUNT: [...months.values()].reduce((n, list) => n + list.length, 0),
+		CURRENT: current.year === year && !current.month,
+		MONTHS: [...months].map(([month, list]) => ({
+			MONTH: Number(month),
+			LABEL: dateLabel(lang, { month: 'long' }, year, month),
+			URL: `${rootPath}${archiveDir(baseDir, year, month)}index.html`,
+			COUNT: list.length,
+			CURRENT: current.year === year && current.month === month,
+		})),
+	}));
+}
+
+// 表示する月は current の月（年だけなら、その年の最新の月）。無ければ最新の記事の月
+// 記事のある日は、1件ならその記事へ、複数なら月別アーカイブへリンクする
+function calendarVars(groups, baseDir, rootPath, current = {}, lang = DEFAULT_LANG) {
+	const months = [...groups].flatMap(([year, byMonth]) => [...byMonth.keys()].map(month => [year, month]));
+	if (months.length === 0) return null;
+
+	let year = current.year;
+	let month = current.month;
+	if (!year) [year, month] = months[0];
+	else if (!month) month = [...groups.get(year).keys()][0];
+
+	const monthUrl = (y, m) => `${rootPath}${archiveDir(baseDir, y, m)}index.html`;
+	const index = months.findIndex(([y, m]) => y === year && m === month);
+	const older = months[index + 1];
+	const newer = months[index - 1];
+
+	const byDay = new Map();
+	for (const post of groups.get(year).get(month)) {
+		const day = Number(post.date.slice(8, 10));
+		if (!byDay.has(day)) byDay.set(day, []);
+		byDay.get(day).push(post);
+	}
+
+	const y = Number(year);
+	const m = Number(month);
+	const firstWeekday = new Date(Date.UTC(y, m - 1, 1)).getUTCDay();
+	const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+	const cells = [...Array(firstWeekday).fill(null), ...Array.from({ length: daysInMonth }, (_, i) => i + 1)];
+	while (cells.length % 7) cells.push(null);
+
+	const dayVars = (day) => {
+		const dayPosts = byDay.get(day) ?? [];
+		const url = dayPosts.length === 1
+			? `${rootPath}${postPath(dayPosts[0])}`
+			: dayPosts.length > 1 ? monthUrl(year, month) : '';
+		return { DAY: day ?? '', URL: url, TITLE: dayPosts.map(p => p.title).join(' / ') };
+	};
+
+	const weeks = [];
+	for (let i = 0; i < cells.length; i += 7) weeks.push({ DAYS: cells.slice(i, i + 7).map(dayVars) });
+
+	return {
+		CAL_TITLE: archiveOf(year, month, lang).label,
+		CAL_MONTH_URL: monthUrl(year, month),
+		CAL_PREV_URL: older ? monthUrl(...older) : '',
+		CAL_NEXT_URL: newer ? monthUrl(...newer) : '',
+		CAL_WEEKDAYS: weekdaysOf(lang),
+		CAL_WEEKS: weeks,
+		ARCHIVE_YEARS: archiveYearsVars(groups, baseDir, rootPath, current, lang),
+	};
+}
+
+function buildCalendarHtml(ctx, calendar, template, { name, partials, strings = DEFAULT_STRINGS }) {
+	if (!calendar) return '';
+	return render(ctx, template, { T: strings, ...calendar }, { name, partials });
+}
+
+// ----- ポータル全体の日付アーカイブ（archive/ にトップ・年別・月別） -----
+function emitDateArchives(ctx, posts, sharedPartials) {
+	const archiveTpl = readTemplate(ctx, 'archive/index.html');
+	const groups = groupByMonth(posts);
+
+	const emitArchive = (relDir, listPosts, archive) => {
+		const rootPath = rootPathOf(relDir);
+		const calendar = calendarVars(groups, '', rootPath, archive ?? {});
+		const vars = {
+			SITE_TITLE: ctx.site.title,
+			BLOG_TITLE: ctx.site.title,
+			ROOT_PATH: rootPath,
+			ARCHIVE_LABEL: archive?.label ?? '',
+			LIST_COUNT: listPosts.length,
+			POST_LIST: html(buildPortalPostListHtml(ctx, listPosts, rootPath)),
+			ARCHIVE_YEARS: archiveYearsVars(groups, '', rootPath, archive ?? {}),
+			CALENDAR: html(buildCalendarHtml(ctx, calendar, sharedPartials.calendar,
+				{ name: 'templates/partials/calendar.html', partials: sharedPartials })),
+			...feedUrls(ctx, ''),
+			...seoVars(ctx, {
+				relPath: relDir,
+				title: archive ? t(DEFAULT_STRINGS, 'ARCHIVE_POSTS', { label: archive.label }) : DEFAULT_STRINGS.ARCHIVE,
+				desc: archive
+					? t(DEFAULT_STRINGS, 'ARCHIVE_POSTS_DESC', { site: ctx.site.title, label: archive.label })
+					: t(DEFAULT_STRINGS, 'ARCHIVE_DESC', { site: ctx.site.title }),
+			}),
+		};
+		emitPage(ctx, path.join(ctx.outDir, relDir, 'index.html'), hash('date-archive', archiveTpl, sharedPartials, vars),
+			() => render(ctx, archiveTpl, vars, { name: 'templates/archive/index.html', partials: sharedPartials }));
+	};
+
+	emitArchive('archive/', [], null);
+	for (const [year, months] of groups) {
+		emitArchive(archiveDir('', year), [...months.values()].flat(), archiveOf(year));
+		for (const [month, monthPosts] of months) {
+			emitArchive(archiveDir('', year, month), monthPosts, archiveOf(year, month));
+		}
 	}
+}
+
+// ===========================
+//  タグページ
+//  tags/index.html（タグ一覧）と tags/<slug>/index.html（全ブログの記事）
+//  スラッグは日本語をそのまま使い、リンクでは URL エンコードする
+// ===========================
+
+// タグ → スラッグ（ctx.tagSlugs）は build() の最初に全ブログのタグから決める
+function tagUrl(ctx, tag, rootPath) {
+	return `${rootPath}tags/${encodeURIComponent(ctx.tagSlugs.get(tag))}/index.html`;
+}
 
+// キャッシュキー用: ページに出るタグのリンク先
+function tagSlugsOf(ctx, tags) {
+	return tags.map(t => ctx.tagSlugs.get(t));
+}
+
+// ----- ポータル共通の記事リスト（トップページ・タグページ） -----
+// ポータルのページは既定の言語だけなので、文言は DEFAULT_STRINGS から取る
+function buildPortalPostListHtml(ctx, posts, rootPath, strings = DEFAULT_STRINGS) {
 	return posts.map(post => {
-		const tags = post.tags.join(',');
-
-		if (theme === 'retro-cosmic') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="cosmic-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="cosmic-card-title">${esc(post.title)}</div>
-    <span style="font-size:0.85rem;color:#666;white-space:nowrap;margin-left:12px">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="cosmic-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="cosmic-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="cosmic-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'gym-log') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="gym-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="gym-card-title">${esc(post.title)}</div>
-    <span class="gym-card-date">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="gym-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="gym-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="gym-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'love-column') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="love-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="love-card-title">${esc(post.title)}</div>
-    <span class="love-card-date">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="love-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="love-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="love-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'izakaya') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="izakaya-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="izakaya-card-title">${esc(post.title)}</div>
-    <span class="izakaya-card-date">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="izakaya-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="izakaya-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="izakaya-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'onsen-cosmos') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="onsen-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="onsen-card-title">${esc(post.title)}</div>
-    <span class="onsen-card-date">🌙 ${esc(post.date)}</span>
-  </div>
-  <p class="onsen-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="onsen-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="onsen-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'comedy-zine') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="zine-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="zine-card-title">${esc(post.title)}</div>
-    <span class="zine-card-date">${esc(post.date)}</span>
-  </div>
-  <p class="zine-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="zine-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="zine-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'academy-log') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="academy-post-card" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="academy-card-title">${esc(post.title)}</div>
-    <span class="academy-card-date">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="academy-card-excerpt">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;margin-top:8px">
-    <span class="academy-card-meta">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="academy-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'terminal') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="term-post-entry" data-post-tags="${esc(tags)}">
-  <span class="term-post-date">${esc(post.date)}</span>
-  <span class="term-post-author">${esc(post.author)}</span>
-  <span class="term-post-title">${esc(post.title)}</span>
-  <div class="term-post-excerpt">${esc(post.excerpt)}</div>
-  <div class="term-post-tags">${post.tags.map(t => `<span class="term-tag">#${esc(t)}</span>`).join('')}</div>
-</a>`.trim();
-
-		} else if (theme === 'kawase-blog') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="kawase-post-card" data-post-tags="${esc(tags)}">
-  <div class="kawase-card-date">📅 ${esc(post.date)}</div>
-  <div class="kawase-card-title">${esc(post.title)}</div>
-  <p class="kawase-card-excerpt">${esc(post.excerpt)}</p>
-  <div class="kawase-card-footer">
-    <span class="kawase-card-meta">✍️ ${esc(post.author)}</span>
-    <div class="kawase-card-tags">${post.tags.map(t => `<span class="kawase-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else if (theme === 'sake-modern') {
-			return `
-<a href="posts/${esc(post.slug)}.html" class="sake-post-card" data-post-tags="${esc(tags)}">
-  <div class="sake-card-date">📅 ${esc(post.date)}</div>
-  <div class="sake-card-title">${esc(post.title)}</div>
-  <p class="sake-card-excerpt">${esc(post.excerpt)}</p>
-  <div class="sake-card-footer">
-    <span class="sake-card-meta">✍️ ${esc(post.author)}</span>
-    <div class="sake-card-tags">${post.tags.map(t => `<span class="sake-tag">#${esc(t)}</span>`).join('')}</div>
-  </div>
-</a>`.trim();
-
-		} else {
-			// word-retro（デフォルト）
-			return `
-<a href="posts/${esc(post.slug)}.html" class="word-blog-entry" data-post-tags="${esc(tags)}">
-  <div style="display:flex;justify-content:space-between;align-items:start;margin-bottom:6px">
-    <div class="word-blog-entry-title">${esc(post.title)}</div>
-    <span style="font-size:0.85rem;color:#666;white-space:nowrap;margin-left:12px">📅 ${esc(post.date)}</span>
-  </div>
-  <p class="word-blog-excerpt" style="margin-bottom:8px">${esc(post.excerpt)}</p>
-  <div style="display:flex;justify-content:space-between;align-items:center;flex-wrap:wrap;gap:8px">
-    <span style="font-size:0.85rem;color:#666">✍️ ${esc(post.author)}</span>
-    <div>${post.tags.map(t => `<span class="word-tag">#${esc(t)}</span>`).join('')}</div>
+		const length = lengthVars(post, strings);
+		const tagsHtml = post.tags.map(t => `<a href="${esc(tagUrl(ctx, t, rootPath))}" class="word-tag">#${esc(t)}</a>`).join('');
+		return `
+<article class="word-blog-entry">
+  <div class="word-blog-entry-title">
+    <span class="word-emoji">${esc(post.blogEmoji)}</span><a href="${rootPath}blogs/${esc(post.blogSlug)}/posts/${esc(post.slug)}.html" class="post-card-link">${esc(post.title)}</a>
   </div>
-</a>`.trim();
-		}
+  <div class="word-blog-meta">${esc(strings.POSTED_BY)}: <a href="${esc(authorUrl(post.author, rootPath))}" class="word-hyperlink">${esc(authorName(ctx, post.author))}</a> | ${esc(strings.BLOG)}: ${esc(post.blogTitle)} | ${esc(strings.POSTED_AT)}: ${esc(post.date)} | <span title="${esc(length.POST_CHARS_LABEL)}">⏱️ ${esc(length.POST_READING_LABEL)}</span></div>
+  <p class="word-blog-excerpt">${esc(post.excerpt)}</p>
+  ${tagsHtml ? `<div style="margin-top:8px">${tagsHtml}</div>` : ''}
+</article>`.trim();
 	}).join('\n');
 }
 
-// ----- タグフィルター HTML -----
-function buildTagFilterHtml(posts, theme) {
-	const allTags = [...new Set(posts.flatMap(p => p.tags))];
-	if (allTags.length === 0) return '';
-
-	if (theme === 'retro-cosmic') {
-		const allBtn = `<button data-tag-btn="__all__" class="cosmic-tag cosmic-tag-active">すべて</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="cosmic-tag">#${esc(t)}</button>`).join('');
-		return `<div class="cosmic-tag-filter">
-  <div class="cosmic-tag-filter-heading">🏷️ タグで絞り込み</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>
-<div class="retro-separator"></div>`;
-
-	} else if (theme === 'gym-log') {
-		const allBtn = `<button data-tag-btn="__all__" class="gym-tag" style="border-color:#ff4400;color:#ff4400">ALL</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="gym-tag">#${esc(t)}</button>`).join('');
-		return `<div class="gym-tag-filter">
-  <div class="gym-tag-filter-heading">◆ FILTER BY TAG</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'love-column') {
-		const allBtn = `<button data-tag-btn="__all__" class="love-tag" style="background:#ff8fab;border-color:#ff8fab;color:white">すべて ♥</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="love-tag">#${esc(t)}</button>`).join('');
-		return `<div class="love-tag-filter">
-  <div class="love-tag-filter-heading">♥ タグで絞り込み</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:center">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'izakaya') {
-		const allBtn = `<button data-tag-btn="__all__" class="izakaya-tag" style="border-color:#d4a058;color:#f0b830">すべて</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="izakaya-tag">#${esc(t)}</button>`).join('');
-		return `<div class="izakaya-tag-filter">
-  <div class="izakaya-tag-filter-heading">〔 種類で絞り込む 〕</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'onsen-cosmos') {
-		const allBtn = `<button data-tag-btn="__all__" class="onsen-tag" style="border-color:#c8a060;color:#f0d090">すべて ✦</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="onsen-tag">#${esc(t)}</button>`).join('');
-		return `<div class="onsen-tag-filter">
-  <div class="onsen-tag-filter-heading">✦ タグで絞り込み</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:center">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'comedy-zine') {
-		const allBtn = `<button data-tag-btn="__all__" class="zine-tag" style="background:#111;color:#ffe600;border-color:#111">ALL</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="zine-tag">#${esc(t)}</button>`).join('');
-		return `<div class="zine-tag-filter">
-  <div class="zine-tag-filter-heading">◆ FILTER BY TAG</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'academy-log') {
-		const allBtn = `<button data-tag-btn="__all__" class="academy-tag" style="border-color:#4a9eff;color:#7ac8ff">ALL</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="academy-tag">#${esc(t)}</button>`).join('');
-		return `<div class="academy-tag-filter">
-  <div class="academy-tag-filter-heading">◆ FILTER BY TAG</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'terminal') {
-		const allBtn = `<button data-tag-btn="__all__" class="term-tag term-tag-active">*</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="term-tag">#${esc(t)}</button>`).join('');
-		return `<div class="term-tag-filter term-block" style="padding:10px">
-  <span class="term-prompt-mini">$</span> grep --tag:
-  <div style="display:flex;gap:6px;flex-wrap:wrap;margin-top:8px">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'kawase-blog') {
-		const allBtn = `<button data-tag-btn="__all__" class="kawase-tag kawase-tag-active">すべて</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="kawase-tag">#${esc(t)}</button>`).join('');
-		return `<div class="kawase-tag-filter">
-  <div class="kawase-tag-filter-heading">✦ タグで絞り込み</div>
-  <div class="kawase-tag-filter-wrap">${allBtn}${tagBtns}</div>
-</div>`;
-
-	} else if (theme === 'sake-modern') {
-		const allBtn = `<button data-tag-btn="__all__" class="sake-tag sake-tag-active">すべて</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="sake-tag">#${esc(t)}</button>`).join('');
-		return `<div class="sake-tag-filter">
-  <div class="sake-tag-filter-heading">✦ タグで絞り込み</div>
-  <div class="sake-tag-filter-wrap">${allBtn}${tagBtns}</div>
-</div>`;
+function emitTagPages(ctx, posts, sharedPartials, sitemapUrls) {
+	const byTag = new Map();
+	for (const post of posts) {
+		for (const tag of post.tags) {
+			if (!byTag.has(tag)) byTag.set(tag, []);
+			byTag.get(tag).push(post);
+		}
+	}
 
-	} else {
-		const allBtn = `<button data-tag-btn="__all__" class="word-tag word-tag-active">すべて</button>`;
-		const tagBtns = allTags.map(t => `<button data-tag-btn="${esc(t)}" class="word-tag">#${esc(t)}</button>`).join('');
-		return `<div class="word-section">
-  <div class="word-section-heading">🏷️ タグで絞り込み</div>
-  <div style="display:flex;gap:6px;flex-wrap:wrap">${allBtn}${tagBtns}</div>
-</div>
-<div class="word-section-break"></div>`;
+	const tagTpl = readTemplate(ctx, 'tags/tag.html');
+	for (const [tag, tagPosts] of byTag) {
+		const slug = ctx.tagSlugs.get(tag);
+		const relDir = `tags/${slug}/`;
+		const vars = {
+			SITE_TITLE: ctx.site.title,
+			BLOG_TITLE: ctx.site.title,
+			ROOT_PATH: '../../',
+			TAG: tag,
+			POST_COUNT: tagPosts.length,
+			BLOG_COUNT: new Set(tagPosts.map(p => p.blogSlug)).size,
+			POST_LIST: html(buildPortalPostListHtml(ctx, tagPosts, '../../')),
+			...feedUrls(ctx, ''),
+			...seoVars(ctx, { relPath: `tags/${encodeURIComponent(slug)}/`, title: `#${tag}`, desc: t(DEFAULT_STRINGS, 'TAG_DESC', { site: ctx.site.title, tag }) }),
+		};
+		emitPage(ctx, path.join(ctx.outDir, relDir, 'index.html'), hash('tag', tagTpl, sharedPartials, vars),
+			() => render(ctx, tagTpl, vars, { name: 'templates/tags/tag.html', partials: sharedPartials }));
+		sitemapUrls.push({ LOC: vars.CANONICAL_URL, LASTMOD: tagPosts[0].date });
 	}
+
+	// 記事数の多い順（同数なら名前順）
+	const tags = [...byTag.entries()]
+		.sort((a, b) => b[1].length - a[1].length || (a[0] < b[0] ? -1 : 1))
+		.map(([tag, tagPosts]) => ({ TAG: tag, TAG_URL: tagUrl(ctx, tag, '../'), COUNT: tagPosts.length }));
+	const indexTpl = readTemplate(ctx, 'tags/index.html');
+	const indexVars = {
+		SITE_TITLE: ctx.site.title,
+		BLOG_TITLE: ctx.site.title,
+		ROOT_PATH: '../',
+		TAG_COUNT: tags.length,
+		TAGS: tags,
+		...feedUrls(ctx, ''),
+		...seoVars(ctx, { relPath: 'tags/', title: DEFAULT_STRINGS.TAG_INDEX, desc: t(DEFAULT_STRINGS, 'TAG_INDEX_DESC', { site: ctx.site.title }) }),
+	};
+	emitPage(ctx, path.join(ctx.outDir, 'tags', 'index.html'), hash('tags', indexTpl, sharedPartials, indexVars),
+		() => render(ctx, indexTpl, indexVars, { name: 'templates/tags/index.html', partials: sharedPartials }));
+	sitemapUrls.push({ LOC: indexVars.CANONICAL_URL, LASTMOD: posts[0]?.date || '' });
 }
 
-// ----- 前後記事ナビ HTML -----
-function buildNavCard(post, label, blogSlug, theme) {
-	if (!post) return '<div></div>';
+// ===========================
+//  著者ページ
+//  content/authors.json の著者ごとに authors/<id>/index.html（全ブログの記事）と
+//  authors/index.html（著者一覧）。blogs.json と記事の author は著者の id で書く
+// ===========================
 
-	if (theme === 'retro-cosmic') {
-		return `<a href="${esc(post.slug)}.html" class="cosmic-nav-card">
-  <div class="cosmic-nav-label">${esc(label)}</div>
-  <div class="cosmic-nav-title">${esc(post.title)}</div>
-  <div class="cosmic-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'gym-log') {
-		return `<a href="${esc(post.slug)}.html" class="gym-nav-card">
-  <div class="gym-nav-label">${esc(label)}</div>
-  <div class="gym-nav-title">${esc(post.title)}</div>
-  <div class="gym-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'love-column') {
-		return `<a href="${esc(post.slug)}.html" class="love-nav-card">
-  <div class="love-nav-label">${esc(label)}</div>
-  <div class="love-nav-title">${esc(post.title)}</div>
-  <div class="love-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'izakaya') {
-		return `<a href="${esc(post.slug)}.html" class="izakaya-nav-card">
-  <div class="izakaya-nav-label">${esc(label)}</div>
-  <div class="izakaya-nav-title">${esc(post.title)}</div>
-  <div class="izakaya-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'onsen-cosmos') {
-		return `<a href="${esc(post.slug)}.html" class="onsen-nav-card">
-  <div class="onsen-nav-label">${esc(label)}</div>
-  <div class="onsen-nav-title">${esc(post.title)}</div>
-  <div class="onsen-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'comedy-zine') {
-		return `<a href="${esc(post.slug)}.html" class="zine-nav-card">
-  <div class="zine-nav-label">${esc(label)}</div>
-  <div class="zine-nav-title">${esc(post.title)}</div>
-  <div class="zine-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'academy-log') {
-		return `<a href="${esc(post.slug)}.html" class="academy-nav-card">
-  <div class="academy-nav-label">${esc(label)}</div>
-  <div class="academy-nav-title">${esc(post.title)}</div>
-  <div class="academy-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'terminal') {
-		return `<a href="${esc(post.slug)}.html" class="term-nav-card">
-  <div class="term-nav-label">${esc(label)}</div>
-  <div class="term-nav-title">${esc(post.title)}</div>
-  <div class="term-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'kawase-blog') {
-		return `<a href="${esc(post.slug)}.html" class="kawase-nav-card">
-  <div class="kawase-nav-label">${esc(label)}</div>
-  <div class="kawase-nav-title">${esc(post.title)}</div>
-  <div class="kawase-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else if (theme === 'sake-modern') {
-		return `<a href="${esc(post.slug)}.html" class="sake-nav-card">
-  <div class="sake-nav-label">${esc(label)}</div>
-  <div class="sake-nav-title">${esc(post.title)}</div>
-  <div class="sake-nav-date">${esc(post.date)}</div>
-</a>`;
-	} else {
-		return `<a href="${esc(post.slug)}.html" class="word-blog-card" style="padding:12px">
-  <div style="font-size:0.8rem;color:#666;margin-bottom:6px">${esc(label)}</div>
-  <div class="word-bold word-text-blue" style="font-size:0.9rem">${esc(post.title)}</div>
-  <div style="font-size:0.8rem;color:#666;margin-top:4px">${esc(post.date)}</div>
-</a>`;
+// id → authors.json の著者（ctx.authors）は build() の最初に読み込む
+function loadAuthors(ctx) {
+	const list = JSON.parse(fs.readFileSync(path.join(ctx.paths.content, 'authors.json'), 'utf-8'));
+	return new Map(list.map(author => [author.id, author]));
+}
+
+function authorName(ctx, id) {
+	return ctx.authors.get(id)?.name ?? id;
+}
+
+function authorUrl(id, rootPath) {
+	return `${rootPath}authors/${id}/index.html`;
+}
+
+// avatar は画像（サイトのルートからの相対パスか絶対URL）か、絵文字などの短い文字列
+function avatarVars(author, rootPath) {
+	const avatar = author.avatar ?? '';
+	if (/^https?:\/\//.test(avatar)) return { AUTHOR_AVATAR_URL: avatar, AUTHOR_AVATAR: '' };
+	if (/\.(png|jpe?g|gif|webp|avif|svg)$/i.test(avatar)) {
+		return { AUTHOR_AVATAR_URL: `${rootPath}${avatar.replace(/^\//, '')}`, AUTHOR_AVATAR: '' };
 	}
+	return { AUTHOR_AVATAR_URL: '', AUTHOR_AVATAR: avatar };
 }
 
-// ----- タグ HTML（記事ヘッダー用） -----
-function buildTagsHtml(tags, theme) {
-	if (!tags || tags.length === 0) return '';
-	if (theme === 'retro-cosmic') {
-		return tags.map(t => `<span class="cosmic-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'terminal') {
-		return tags.map(t => `<span class="term-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'gym-log') {
-		return tags.map(t => `<span class="gym-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'love-column') {
-		return tags.map(t => `<span class="love-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'izakaya') {
-		return tags.map(t => `<span class="izakaya-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'onsen-cosmos') {
-		return tags.map(t => `<span class="onsen-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'comedy-zine') {
-		return tags.map(t => `<span class="zine-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'academy-log') {
-		return tags.map(t => `<span class="academy-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'kawase-blog') {
-		return tags.map(t => `<span class="kawase-tag">#${esc(t)}</span>`).join('');
-	} else if (theme === 'sake-modern') {
-		return tags.map(t => `<span class="sake-tag">#${esc(t)}</span>`).join('');
-	} else {
-		return tags.map(t => `<span class="word-tag">#${esc(t)}</span>`).join('');
+function emitAuthorPages(ctx, posts, blogs, sharedPartials, sitemapUrls) {
+	const authorTpl = readTemplate(ctx, 'authors/author.html');
+	const summaries = [];
+
+	for (const author of ctx.authors.values()) {
+		const authorPosts = posts.filter(p => p.author === author.id);
+		// 記事が無くても、ブログの著者になっていればブログを載せる
+		const blogSlugs = new Set([...blogs.filter(b => b.author === author.id).map(b => b.slug), ...authorPosts.map(p => p.blogSlug)]);
+		const authorBlogs = blogs.filter(b => blogSlugs.has(b.slug)).map(b => ({
+			BLOG_TITLE: b.title,
+			BLOG_EMOJI: b.planet.emoji,
+			BLOG_URL: `../../blogs/${b.slug}/index.html`,
+			BLOG_POST_COUNT: authorPosts.filter(p => p.blogSlug === b.slug).length,
+		}));
+		const relDir = `authors/${author.id}/`;
+		const vars = {
+			SITE_TITLE: ctx.site.title,
+			BLOG_TITLE: ctx.site.title,
+			ROOT_PATH: '../../',
+			AUTHOR_NAME: author.name,
+			AUTHOR_BIO: author.bio ?? '',
+			...avatarVars(author, '../../'),
+			AUTHOR_LINKS: (author.links ?? []).map(link => ({ LABEL: link.label, URL: link.url })),
+			AUTHOR_BLOGS: authorBlogs,
+			POST_COUNT: authorPosts.length,
+			BLOG_COUNT: authorBlogs.length,
+			POST_LIST: html(buildPortalPostListHtml(ctx, authorPosts, '../../')),
+			...feedUrls(ctx, ''),
+			...seoVars(ctx, { relPath: relDir, type: 'profile', title: author.name, desc: author.bio || t(DEFAULT_STRINGS, 'AUTHOR_DESC', { site: ctx.site.title, author: author.name }) }),
+		};
+		emitPage(ctx, path.join(ctx.outDir, relDir, 'index.html'), hash('author', authorTpl, sharedPartials, vars),
+			() => render(ctx, authorTpl, vars, { name: 'templates/authors/author.html', partials: sharedPartials }));
+		sitemapUrls.push({ LOC: vars.CANONICAL_URL, LASTMOD: authorPosts[0]?.date || '' });
+
+		summaries.push({
+			AUTHOR_NAME: author.name,
+			AUTHOR_URL: authorUrl(author.id, '../'),
+			AUTHOR_BIO: author.bio ?? '',
+			...avatarVars(author, '../'),
+			POST_COUNT: authorPosts.length,
+			BLOG_COUNT: authorBlogs.length,
+		});
 	}
+
+	const indexTpl = readTemplate(ctx, 'authors/index.html');
+	const indexVars = {
+		SITE_TITLE: ctx.site.title,
+		BLOG_TITLE: ctx.site.title,
+		ROOT_PATH: '../',
+		AUTHOR_COUNT: summaries.length,
+		AUTHORS: summaries,
+		...feedUrls(ctx, ''),
+		...seoVars(ctx, { relPath: 'authors/', title: DEFAULT_STRINGS.AUTHOR_INDEX, desc: t(DEFAULT_STRINGS, 'AUTHOR_INDEX_DESC', { site: ctx.site.title }) }),
+	};
+	emitPage(ctx, path.join(ctx.outDir, 'authors', 'index.html'), hash('authors', indexTpl, sharedPartials, indexVars),
+		() => render(ctx, indexTpl, indexVars, { name: 'templates/authors/index.html', partials: sharedPartials }));
+	sitemapUrls.push({ LOC: indexVars.CANONICAL_URL, LASTMOD: posts[0]?.date || '' });
+}
+
+// ===========================
+//  全記事アーカイブ
+//  posts/index.html・posts/page/<n>/index.html（全ブログの記事を新しい順に）
+// ===========================
+
+function emitPostArchive(ctx, posts, sharedPartials, sitemapUrls) {
+	const archiveTpl = readTemplate(ctx, 'posts/index.html');
+	const pages = paginate(posts, ctx.config.posts.perPage);
+
+	pages.forEach((pagePosts, i) => {
+		const relDir = pageDir('posts/', i + 1);
+		const rootPath = rootPathOf(relDir);
+		const pagination = paginationVars('posts/', i + 1, pages.length);
+		const vars = {
+			SITE_TITLE: ctx.site.title,
+			BLOG_TITLE: ctx.site.title,
+			ROOT_PATH: rootPath,
+			POST_COUNT: posts.length,
+			CURRENT_PAGE: pagination.CURRENT_PAGE,
+			TOTAL_PAGES: pagination.TOTAL_PAGES,
+			POST_LIST: html(buildPortalPostListHtml(ctx, pagePosts, rootPath)),
+			PAGINATION: html(buildPaginationHtml(ctx, pagination, sharedPartials.pagination,
+				{ name: 'templates/partials/pagination.html', partials: sharedPartials })),
+			...feedUrls(ctx, ''),
+			...seoVars(ctx, { relPath: relDir, title: DEFAULT_STRINGS.ALL_POSTS, desc: t(DEFAULT_STRINGS, 'ALL_POSTS_DESC', { site: ctx.site.title }) }),
+		};
+		emitPage(ctx, path.join(ctx.outDir, relDir, 'index.html'), hash('archive', archiveTpl, sharedPartials, vars),
+			() => render(ctx, archiveTpl, vars, { name: 'templates/posts/index.html', partials: sharedPartials }));
+		sitemapUrls.push({ LOC: vars.CANONICAL_URL, LASTMOD: pagePosts[0]?.date || '' });
+	});
+}
+
+// ===========================
+//  フィード（RSS 2.0 / Atom）
+//  blogs/<slug>/feed.xml・atom.xml と、サイト全体の feed.xml・atom.xml
+// ===========================
+
+const FEED_LIMIT = 20;
+
+// 記事の日付は日本時間の0時とみなす
+function toIsoDateTime(date) {
+	return `${date}T00:00:00+09:00`;
+}
+
+function toRfc822(date) {
+	return new Date(toIsoDateTime(date)).toUTCString();
+}
+
+// relDir: 出力ディレクトリからの相対パス（'' はサイトのルート）
+function feedUrls(ctx, relDir) {
+	return {
+		FEED_RSS_URL: absoluteUrl(ctx, `${relDir}feed.xml`),
+		FEED_ATOM_URL: absoluteUrl(ctx, `${relDir}atom.xml`),
+	};
+}
+
+// 本文のアセットへの参照（<slug>/…）は記事ページからの相対パスなので、フィードでは絶対URLにする
+function absoluteAssetUrls(ctx, content, post) {
+	if (!post.assets.length) return content;
+	const prefix = `${encodeURIComponent(post.slug)}/`;
+	const absolute = absoluteUrl(ctx, `blogs/${post.blogSlug}/posts/${prefix}`);
+	return content.replaceAll(`src="${prefix}`, `src="${absolute}`).replaceAll(`href="${prefix}`, `href="${absolute}`);
+}
+
+function feedItem(ctx, post) {
+	const url = absoluteUrl(ctx, `blogs/${post.blogSlug}/posts/${post.slug}.html`);
+	return {
+		TITLE: post.title,
+		URL: url,
+		AUTHOR: authorName(ctx, post.author),
+		TAGS: post.tags,
+		EXCERPT: post.excerpt,
+		CONTENT: absoluteAssetUrls(ctx, stripHeadingAnchors(renderPostContent(ctx, post)), post),
+		DATE_ISO: toIsoDateTime(post.date),
+		DATE_RFC822: toRfc822(post.date),
+	};
+}
+
+function emitFeeds(ctx, { relDir, title, desc, posts }) {
+	const items = posts.slice(0, FEED_LIMIT);
+	const rssTpl = readTemplate(ctx, 'feeds/rss.xml');
+	const atomTpl = readTemplate(ctx, 'feeds/atom.xml');
+	const updated = items[0]?.date ?? new Date().toISOString().slice(0, 10);
+
+	const vars = () => ({
+		FEED_TITLE: title,
+		FEED_DESC: desc,
+		FEED_LINK: absoluteUrl(ctx, relDir),
+		...feedUrls(ctx, relDir),
+		FEED_UPDATED_ISO: toIsoDateTime(updated),
+		FEED_UPDATED_RFC822: toRfc822(updated),
+		ITEMS: items.map(post => feedItem(ctx, post)),
+	});
+	// 記事の URL（slug）も入れる。内容を変えずにファイル名だけ変えたときもフィードを作り直す
+	const key = hash('feed', ctx.site.url, title, desc, updated, items.map(p => [p.blogSlug, p.slug, p.hash, authorName(ctx, p.author)]));
+
+	emitPage(ctx, path.join(ctx.outDir, relDir, 'feed.xml'), hash(key, rssTpl),
+		() => render(ctx, rssTpl, vars(), { name: 'templates/feeds/rss.xml' }));
+	emitPage(ctx, path.join(ctx.outDir, relDir, 'atom.xml'), hash(key, atomTpl),
+		() => render(ctx, atomTpl, vars(), { name: 'templates/feeds/atom.xml' }));
+}
+
+// ===========================
+//  SEO
+//  canonical・OGP・Twitterカード（partials/head-meta.html）
+//  記事ページの BlogPosting 構造化データ、sitemap.xml・robots.txt
+// ===========================
+
+// 画像の指定（サイトのルートからの相対パスか絶対URL）を絶対URLにする
+function imageUrl(ctx, value) {
+	if (!value) return '';
+	if (/^https?:\/\//.test(value)) return value;
+	return absoluteUrl(ctx, String(value).replace(/^\//, ''));
+}
+
+// </script> で途中で閉じられないように < をエスケープして埋め込む
+function jsonLd(data) {
+	return html(JSON.stringify(data).replace(/</g, '\\u003c'));
+}
+
+// relPath: サイトのルートからの相対URL（一覧ページは index.html を付けない形）
+// alternates: alternatesVars() の hreflang（翻訳の無いページは空）
+function seoVars(ctx, { relPath, type = 'website', title, desc, image = '', lang = DEFAULT_LANG, alternates = [] }) {
+	return {
+		SITE_TITLE: ctx.site.title,
+		CANONICAL_URL: absoluteUrl(ctx, relPath),
+		OG_TYPE: type,
+		OG_LOCALE: LANGUAGES[lang].ogLocale,
+		ALTERNATES: alternates,
+		OG_IMAGE: imageUrl(ctx, image || ctx.site.ogImage),
+		PAGE_TITLE: title,
+		PAGE_DESC: desc,
+		ARTICLE_PUBLISHED: '',
+		ARTICLE_TAGS: [],
+		JSON_LD: '',
+	};
+}
+
+// 翻訳の無い言語のページ（元の記事の内容を出す）は canonical を元の記事にする
+function postSeoVars(ctx, post, blog) {
+	const original = originalOf(post);
+	const versions = [DEFAULT_LANG, ...original.translations.keys()];
+	const alternates = alternatesVars(versions, lang => absoluteUrl(ctx, postPath(localizePost(original, lang))));
+	const relPath = postPath(post.translated === false ? original : post);
+	const vars = seoVars(ctx, { relPath, type: 'article', title: post.title, desc: post.excerpt, image: post.image || blog.ogImage, lang: post.lang, alternates });
+	const published = toIsoDateTime(post.date);
+
+	const data = {
+		'@context': 'https://schema.org',
+		'@type': 'BlogPosting',
+		headline: post.title,
+		description: post.excerpt || undefined,
+		inLanguage: post.translated === false ? DEFAULT_LANG : post.lang,
+		datePublished: published,
+		dateModified: published,
+		author: { '@type': 'Person', name: authorName(ctx, post.author), url: absoluteUrl(ctx, `authors/${post.author}/`) },
+		keywords: post.tags.length ? post.tags.join(', ') : undefined,
+		image: vars.OG_IMAGE || undefined,
+		url: vars.CANONICAL_URL,
+		mainEntityOfPage: { '@type': 'WebPage', '@id': vars.CANONICAL_URL },
+		isPartOf: { '@type': 'Blog', name: blog.title, url: absoluteUrl(ctx, `${langDir(post.lang)}blogs/${blog.slug}/`) },
+		publisher: { '@type': 'Organization', name: ctx.site.title, url: ctx.site.url },
+	};
+
+	return { ...vars, ARTICLE_PUBLISHED: published, ARTICLE_TAGS: post.tags, JSON_LD: jsonLd(data) };
+}
+
+// urls: [{ LOC, LASTMOD }]
+function emitSitemap(ctx, urls) {
+	const sitemapTpl = readTemplate(ctx, 'seo/sitemap.xml');
+	emitPage(ctx, path.join(ctx.outDir, 'sitemap.xml'), hash('sitemap', sitemapTpl, urls),
+		() => render(ctx, sitemapTpl, { URLS: urls }, { name: 'templates/seo/sitemap.xml' }));
+
+	// GitHub Pages のプロジェクトサイトではドメイン直下にならないので、独自ドメイン向け
+	const robotsTpl = readTemplate(ctx, 'seo/robots.txt');
+	const robotsVars = { SITEMAP_URL: absoluteUrl(ctx, 'sitemap.xml') };
+	emitPage(ctx, path.join(ctx.outDir, 'robots.txt'), hash('robots', robotsTpl, robotsVars),
+		() => render(ctx, robotsTpl, robotsVars, { name: 'templates/seo/robots.txt' }));
+}
+
+// ===========================
+//  全文検索インデックス
+//  search-index.js（public/assets/js/search.js が <script> で読み込む）
+// ===========================
+
+function searchDoc(post) {
+	return {
+		u: `blogs/${post.blogSlug}/posts/${post.slug}.html`,
+		t: post.title,
+		b: post.blogTitle,
+		m: post.blogEmoji,
+		d: post.date,
+		g: post.tags,
+		e: post.excerpt,
+		x: markdownToText(post.content),
+	};
+}
+
+function emitSearchIndex(ctx, posts) {
+	const key = hash('search', posts.map(p => [p.blogSlug, p.slug, p.hash, p.blogTitle, p.blogEmoji]));
+	emitPage(ctx, path.join(ctx.outDir, 'search-index.js'), key, () => {
+		const index = buildSearchIndex(posts.map(searchDoc));
+		return `window.__SPRING_SEARCH_INDEX__ = ${JSON.stringify(index)};\n`;
+	});
 }
 
 // ===========================
 //  ビルド本体
 // ===========================
 
-async function build() {
-	console.log('\n🚀 ビルド開始\n');
+/**
+ * @typedef {object} BuildResult
+ * @property {string} outDir 出力先（絶対パス）
+ * @property {string[]} pages 出力した HTML（outDir からの相対パス・/ 区切り）
+ * @property {string[]} files 出力したすべてのファイル（同上）
+ * @property {{ generated: number, unchanged: number, removed: number }} stats
+ * @property {{ type: 'image' | 'template', message: string }[]} warnings 記事の画像・未解決のプレースホルダー
+ */
+
+/**
+ * サイトをビルドする
+ * 前回のビルドから入力が変わったページだけを再生成する（<cacheDir>/build-cache.json）
+ * @param {object} [options]
+ * @param {string} [options.root] プロジェクトのルート（既定: カレントディレクトリ）
+ * @param {string} [options.configFile] 設定ファイル（既定: <root>/spring-universe.config.js）
+ * @param {import('./lib/config.mjs').Config} [options.config] 設定ファイルの値を上書きする
+ * @param {boolean} [options.force] キャッシュを使わずにすべて再生成
+ * @param {boolean} [options.strict] 未解決のプレースホルダーがあれば失敗させる
+ * @param {boolean} [options.drafts] 下書き・予約投稿を含めて preview/ に出力する
+ * @param {boolean} [options.production] 圧縮してアセットのファイル名にハッシュを付ける
+ * @param {Date} [options.now] 予約投稿の公開判定・NEW バッジ・トップページの作成日時に使う現在時刻
+ * @returns {Promise<BuildResult>}
+ */
+export async function build({ root, configFile, config: overrides, force = false, strict = false, drafts = false, production = false, now = new Date() } = {}) {
+	const ctx = createContext(await loadConfig({ root, file: configFile, overrides }), { drafts, production, now });
+	const { outDir } = ctx;
+	console.log(drafts ? '\n🚀 ビルド開始（下書きプレビュー）\n' : production ? '\n🚀 ビルド開始（本番）\n' : '\n🚀 ビルド開始\n');
 	const matter = await loadGrayMatter();
 
-	// dist/ を再作成
-	if (fs.existsSync(DIST)) fs.rmSync(DIST, { recursive: true });
-	ensureDir(DIST);
+	// 出力を消す前に、コンテンツの問題をまとめて報告する
+	console.log('🔍 コンテンツを検証中...');
+	const problems = validateSite(ctx, matter);
+	if (problems.length) {
+		throw new Error(`コンテンツの検証で ${problems.length}件の問題が見つかりました\n${formatProblems(problems)}`);
+	}
 
-	// 静的アセットをコピー
-	console.log('📂 アセットをコピー中...');
-	copyDir(PUBLIC, DIST);
+	// テーマを読み込み
+	const sharedPartials = loadPartials(path.join(ctx.paths.templates, 'partials'));
+	const themes = loadThemes(ctx, sharedPartials);
+	console.log(`🎨 テーマを読み込みました (${themes.size}件)`);
 
 	// blogs.json を読み込み
-	const blogsJsonPath = path.join(CONTENT, 'blogs.json');
+	const blogsJsonPath = path.join(ctx.paths.content, 'blogs.json');
 	if (!fs.existsSync(blogsJsonPath)) {
-		console.error('❌ content/blogs.json が見つかりません');
-		process.exit(1);
+		throw new Error('content/blogs.json が見つかりません');
 	}
 	const blogs = JSON.parse(fs.readFileSync(blogsJsonPath, 'utf-8'));
-	console.log(`\n📖 ブログ定義を読み込みました (${blogs.length}件)\n`);
+	ctx.authors = loadAuthors(ctx);
+	console.log(`\n📖 ブログ定義を読み込みました (${blogs.length}件・著者 ${ctx.authors.size}人)\n`);
+
+	// 未知のテーマは出力を消す前にエラーにする
+	const blogThemes = new Map(blogs.map(blog => [blog.slug, resolveTheme(themes, blog)]));
+	const blogPerPage = new Map(blogs.map(blog => [blog.slug, postsPerPage(ctx, blog)]));
+
+	// アセットのハッシュ入りの名前はページの中身を変えるので、変わったら全ページを作り直す
+	const assets = prepareAssets(ctx, themes);
+
+	// キャッシュが無いときだけ出力先を作り直す（設定が変わったら全ページ再生成）
+	const generator = hash(generatorHash(), production, [...ctx.assetNames], ctx.config.site, ctx.config.posts, ctx.config.features);
+	const cache = openBuildCache(ctx.cacheFile, { outDir, generator, force });
+	ctx.cache = cache;
+	if (cache.isCold && fs.existsSync(outDir)) fs.rmSync(outDir, { recursive: true });
+	ensureDir(outDir);
+
+	// 静的アセットをコピー
+	console.log(production ? '📂 アセットを圧縮・コピー中...' : '📂 アセットをコピー中...');
+	emitAssets(ctx, assets);
+
+	// 全ブログの記事を先に読み込む（タグのスラッグは全ブログのタグから決める）
+	const blogPosts = new Map(blogs.map(blog => [blog.slug, loadPosts(ctx, blog.slug, matter, { drafts, now: ctx.now })]));
+	const unpublished = [...blogPosts.values()].flat().filter(p => p.status);
+	if (unpublished.length) console.log(`📝 下書き・予約投稿 ${unpublished.length}件を含めます`);
+	ctx.tagSlugs = uniqueSlugs([...blogPosts.values()].flat().flatMap(p => p.tags), 'tag');
+	const related = relatedPostsMap(ctx, [...blogPosts.values()].flat());
+
+	// 本文の画像の問題（alt が無い・ファイルが無い）はビルドを止めずに警告する
+	const imageProblems = [...blogPosts.values()].flat()
+		.flatMap(post => [post, ...[...post.translations.keys()].map(lang => localizePost(post, lang))])
+		.flatMap(post => imageWarnings(md, post.content, assetEnv(post))
+			.map(w => `${post.blogSlug}/${post.slug}${post.lang === DEFAULT_LANG ? '' : ` (${post.lang})`}: ${w}`));
 
 	// 全記事を収集（トップページ用）
 	const allPostsForTop = [];
+	// sitemap.xml に載せるページ
+	const sitemapUrls = [];
 
-	// 各ブログを処理
+	// 各ブログを処理（言語ごとに <lang>/blogs/<slug>/ へ。既定の言語は blogs/<slug>/）
 	for (const blog of blogs) {
-		const theme = blog.theme || 'word-retro';
-		console.log(`\n[${theme}] 🔨 ${blog.title} (${blog.slug})`);
-
-		const posts = loadPosts(blog.slug, matter);
-		console.log(`  📝 ${posts.length}件の記事`);
+		const blogTheme = blogThemes.get(blog.slug);
+		const originals = blogPosts.get(blog.slug);
 
 		// トップページ用に記録
-		posts.forEach(p => allPostsForTop.push({ ...p, blogSlug: blog.slug, blogTitle: blog.title, blogEmoji: blog.planet.emoji }));
-
-		// --- ブログ一覧ページ生成 ---
-		const blogListTpl = readTemplate(`${theme}/blog-list.html`);
-		const blogListHtml = render(blogListTpl, {
-			BLOG_TITLE: blog.title,
-			BLOG_DESC: blog.desc,
-			BLOG_AUTHOR: blog.author,
-			BLOG_EMOJI: blog.planet.emoji,
-			BLOG_SLUG: blog.slug,
-			PLANET_JA: blog.planet.nameJa,
-			PLANET_EN: blog.planet.name,
-			POST_COUNT: posts.length,
-			LATEST_DATE: posts[0]?.date || 'N/A',
-			POST_LIST: buildPostListHtml(posts, blog.slug, theme),
-			TAG_FILTER: buildTagFilterHtml(posts, theme),
-		});
-
-		writeFile(path.join(DIST, 'blogs', blog.slug, 'index.html'), blogListHtml);
-
-		// --- 各記事ページ生成 ---
-		for (let i = 0; i < posts.length; i++) {
-			const post = posts[i];
-			const prevPost = i < posts.length - 1 ? posts[i + 1] : null; // 古い方
-			const nextPost = i > 0 ? posts[i - 1] : null; // 新しい方
-
-			const postTpl = readTemplate(`${theme}/post.html`);
-			const postHtml = render(postTpl, {
-				POST_TITLE: post.title,
-				POST_DATE: post.date,
-				POST_AUTHOR: post.author,
-				POST_EXCERPT: post.excerpt,
-				POST_SLUG: post.slug,
-				POST_CONTENT: renderMarkdown(post.content),
-				POST_TAGS: buildTagsHtml(post.tags, theme),
-				POST_TAGS_RAW: post.tags.map(t => `"${esc(t)}"`).join(', '),
-				BLOG_TITLE: blog.title,
-				BLOG_EMOJI: blog.planet.emoji,
-				BLOG_SLUG: blog.slug,
-				PREV_POST: buildNavCard(prevPost, '← 前の記事', blog.slug, theme),
-				NEXT_POST: buildNavCard(nextPost, '次の記事 →', blog.slug, theme),
-			});
-
-			writeFile(
-				path.join(DIST, 'blogs', blog.slug, 'posts', `${post.slug}.html`),
-				postHtml
-			);
+		originals.forEach(p => allPostsForTop.push({ ...p, blogTitle: blog.title, blogEmoji: blog.planet.emoji }));
+
+		console.log(`\n[${blogTheme.name}] 🔨 ${blog.title} (${blog.slug})`);
+		const translatedCount = originals.filter(p => p.translations.size).length;
+		console.log(`  📝 ${originals.length}件の記事${translatedCount ? `（うち翻訳あり ${translatedCount}件）` : ''}`);
+
+		for (const lang of LANGS) {
+			const theme = themeFor(blogTheme, lang);
+			const strings = theme.strings;
+			// ブログ名・説明は blogs.json の translations.<lang>、記事は翻訳が無ければ元の記事のまま
+			const localBlog = { ...blog, ...blog.translations?.[lang] };
+			const posts = originals.map(p => localizePost(p, lang));
+
+			// --- ブログ一覧ページ生成（ページ送り・日付アーカイブ） ---
+			const blogListTpl = theme.templates['blog-list'];
+			const blogFeeds = feedUrls(ctx, `blogs/${blog.slug}/`);
+			const blogDir = `${langDir(lang)}blogs/${blog.slug}/`;
+			const monthGroups = groupByMonth(posts);
+
+			// archive を渡すと年別・月別アーカイブ、series を渡すとシリーズ一覧のページになる
+			const emitBlogList = ({ relDir, listPosts, listCount = listPosts.length, pagination = paginationVars(relDir, 1, 1), archive = null, series = null }) => {
+				const rootPath = rootPathOf(relDir);
+				// 言語のディレクトリを除いたパス（各言語の版で共通）
+				const langRel = relDir.slice(langDir(lang).length);
+				const listTitle = archive ? `${localBlog.title} ${archive.label}` : series ? `${series.name} | ${localBlog.title}` : localBlog.title;
+				const calendar = calendarVars(monthGroups, blogDir, rootPath, archive ?? {}, lang);
+				const blogListKey = hash('blog-list', theme.hash, ctx.site.url, lang, LANGS, localBlog, authorName(ctx, blog.author), relDir, pagination, posts.length, posts[0]?.date,
+					archive, series?.name, listPosts.map(p => cardSummary(ctx, p)), tagSlugsOf(ctx, listPosts.flatMap(p => p.tags)), calendar);
+				emitPage(ctx, path.join(outDir, relDir, 'index.html'), blogListKey, () => render(ctx, blogListTpl, {
+					T: strings,
+					LANG: lang,
+					LANG_LINKS: langLinksVars(lang, l => `${rootPath}${langDir(l)}${langRel}index.html`),
+					BLOG_TITLE: localBlog.title,
+					BLOG_DESC: localBlog.desc,
+					BLOG_AUTHOR: authorName(ctx, blog.author),
+					BLOG_AUTHOR_URL: authorUrl(blog.author, rootPath),
+					BLOG_EMOJI: blog.planet.emoji,
+					BLOG_SLUG: blog.slug,
+					ROOT_PATH: rootPath,
+					PLANET_JA: blog.planet.nameJa,
+					PLANET_EN: blog.planet.name,
+					// ページの言語での惑星名（日本語のページは「木星 (Jupiter)」、英語のページは「Jupiter」）
+					PLANET_LABEL: t(strings, 'PLANET_NAME', { ja: blog.planet.nameJa, en: blog.planet.name }),
+					POST_COUNT: posts.length,
+					LIST_COUNT: listCount,
+					LATEST_DATE: posts[0]?.date || 'N/A',
+					ARCHIVE_LABEL: archive?.label ?? '',
+					ARCHIVE_HEADING: archive ? t(strings, 'ARCHIVE_POSTS', { label: archive.label }) : '',
+					SERIES_LABEL: series?.name ?? '',
+					SERIES_HEADING: series ? t(strings, 'SERIES_HEADING', { series: series.name, count: series.posts.length }) : '',
+					CURRENT_PAGE: pagination.CURRENT_PAGE,
+					TOTAL_PAGES: pagination.TOTAL_PAGES,
+					POST_LIST: html(buildPostListHtml(ctx, listPosts, theme, rootPath)),
+					TAG_FILTER: html(buildTagFilterHtml(ctx, listPosts, theme, pagination)),
+					PAGINATION: html(buildPaginationHtml(ctx, pagination, theme.partials.pagination,
+						{ name: `themes/${theme.name}/partials/pagination.html`, partials: theme.partials, strings })),
+					CALENDAR: html(buildCalendarHtml(ctx, calendar, theme.partials.calendar,
+						{ name: `themes/${theme.name}/partials/calendar.html`, partials: theme.partials, strings })),
+					...blogFeeds,
+					...seoVars(ctx, {
+						relPath: relDir,
+						title: listTitle,
+						desc: localBlog.desc,
+						image: blog.ogImage,
+						lang,
+						alternates: alternatesVars(LANGS, l => absoluteUrl(ctx, `${langDir(l)}${langRel}`)),
+					}),
+				}, { name: `themes/${theme.name}/blog-list.html`, partials: theme.partials }));
+				if (!archive) sitemapUrls.push({ LOC: absoluteUrl(ctx, relDir), LASTMOD: listPosts[0]?.date || '' });
+			};
+
+			const listPages = paginate(posts, blogPerPage.get(blog.slug));
+			listPages.forEach((pagePosts, i) => emitBlogList({
+				relDir: pageDir(blogDir, i + 1),
+				listPosts: pagePosts,
+				listCount: posts.length,
+				pagination: paginationVars(blogDir, i + 1, listPages.length),
+			}));
+
+			for (const [year, months] of monthGroups) {
+				emitBlogList({ relDir: archiveDir(blogDir, year), listPosts: [...months.values()].flat(), archive: archiveOf(year, null, lang) });
+				for (const [month, monthPosts] of months) {
+					emitBlogList({ relDir: archiveDir(blogDir, year, month), listPosts: monthPosts, archive: archiveOf(year, month, lang) });
+				}
+			}
+
+			// --- シリーズ一覧ページ生成（第1回から順に並べる） ---
+			const seriesList = groupSeries(posts);
+			const seriesOf = new Map(seriesList.flatMap(series => series.posts.map(p => [p, series])));
+			for (const series of seriesList) {
+				emitBlogList({ relDir: seriesDir(blogDir, series.slug), listPosts: series.posts, series });
+			}
+			if (seriesList.length && lang === DEFAULT_LANG) console.log(`  📚 ${seriesList.length}件のシリーズ`);
+
+			// --- 各記事ページ生成 ---
+			const rootPath = rootPathOf(`${blogDir}posts/`);
+			for (let i = 0; i < posts.length; i++) {
+				const post = posts[i];
+				const original = originalOf(post);
+				// 翻訳が無い言語のページは元の記事の内容を出し、その旨を知らせる
+				const fallback = post.translated === false;
+				const prevPost = i < posts.length - 1 ? posts[i + 1] : null; // 古い方
+				const nextPost = i > 0 ? posts[i - 1] : null; // 新しい方
+
+				// 前後記事のタイトル・日付もナビに出るのでキーに含める
+				const postTpl = theme.templates.post;
+				const relatedPosts = (related.get(original) ?? []).map(p => localizePost(p, lang));
+				// シリーズ内の前後（回の順）。シリーズに属さない記事は null
+				const series = seriesVars(post, seriesOf.get(post), strings);
+				const seriesPosts = seriesOf.get(post)?.posts ?? [];
+				const seriesIndex = seriesPosts.indexOf(post);
+				const seriesPrev = seriesPosts[seriesIndex - 1] ?? null;
+				const seriesNext = seriesIndex >= 0 ? seriesPosts[seriesIndex + 1] ?? null : null;
+				const postKey = hash('post', theme.hash, ctx.site.url, lang, LANGS, localBlog, ctx.authors.get(post.author), original.hash, post.hash, [...original.translations.keys()],
+					post.status, tagSlugsOf(ctx, post.tags), navSummary(prevPost), navSummary(nextPost),
+					relatedPosts.map(p => ({ ...cardSummary(ctx, p), blogSlug: p.blogSlug, tagSlugs: tagSlugsOf(ctx, p.tags) })),
+					series, navSummary(seriesPrev), navSummary(seriesNext));
+				// posts/<slug>/ の画像などは記事ページの隣の <slug>/ にコピーする（言語ごとのページから同じ相対パスで参照する）
+				for (const rel of post.assets) {
+					copyFile(ctx, path.join(post.assetDir, ...rel.split('/')), path.join(outDir, blogDir, 'posts', post.slug, ...rel.split('/')));
+				}
+				const content = renderPostContent(ctx, post);
+				emitPage(ctx, path.join(outDir, postPath(post)), postKey, () => render(ctx, postTpl, {
+					T: strings,
+					LANG: lang,
+					ROOT_PATH: rootPath,
+					LANG_LINKS: langLinksVars(lang, l => `${rootPath}${postPath(localizePost(original, l))}`),
+					TRANSLATION_NOTICE: fallback ? t(strings, 'TRANSLATION_MISSING', { lang: LANGUAGES[lang].label }) : '',
+					ORIGINAL_URL: `${rootPath}${postPath(original)}`,
+					ORIGINAL_LANG: DEFAULT_LANG,
+					ORIGINAL_LANG_LABEL: LANGUAGES[DEFAULT_LANG].label,
+					POST_TITLE: post.title,
+					POST_DATE: post.date,
+					POST_AUTHOR: authorName(ctx, post.author),
+					POST_AUTHOR_URL: authorUrl(post.author, rootPath),
+					POST_EXCERPT: post.excerpt,
+					POST_SLUG: post.slug,
+					...lengthVars(post, strings, lang),
+					POST_CONTENT: html(fallback ? `<div lang="${DEFAULT_LANG}">${content}</div>` : content),
+					POST_TOC: html(buildTocHtml(ctx, tocOf(ctx, post), theme)),
+					SERIES_BOX: html(buildSeriesBoxHtml(ctx, series, theme)),
+					SERIES_PREV_POST: html(buildNavCard(ctx, seriesPrev, strings.SERIES_NAV_PREV, theme)),
+					SERIES_NEXT_POST: html(buildNavCard(ctx, seriesNext, strings.SERIES_NAV_NEXT, theme)),
+					POST_TAGS: html(buildTagsHtml(ctx, post.tags, theme, rootPath)),
+					POST_TAG_LIST: post.tags,
+					BLOG_TITLE: localBlog.title,
+					BLOG_EMOJI: blog.planet.emoji,
+					BLOG_SLUG: blog.slug,
+					BACK_TO_BLOG: t(strings, 'BACK_TO_BLOG', { blog: localBlog.title }),
+					PREV_POST: html(buildNavCard(ctx, prevPost, strings.NAV_PREV, theme)),
+					NEXT_POST: html(buildNavCard(ctx, nextPost, strings.NAV_NEXT, theme)),
+					RELATED_POSTS: html(buildRelatedPostsHtml(ctx, relatedPosts, theme, rootPath)),
+					DRAFT_STATUS: draftStatusOf(post, strings),
+					...blogFeeds,
+					...postSeoVars(ctx, post, localBlog),
+				}, { name: `themes/${theme.name}/post.html`, partials: theme.partials }));
+				// 翻訳の無い言語のページは元の記事と同じ内容なので載せない
+				if (!fallback) sitemapUrls.push({ LOC: absoluteUrl(ctx, postPath(post)), LASTMOD: post.date });
+			}
 		}
+
+		// --- フィード生成（既定の言語の記事だけ） ---
+		emitFeeds(ctx, { relDir: `blogs/${blog.slug}/`, title: blog.title, desc: blog.desc, posts: originals });
 	}
 
 	// --- トップページ生成 ---
 	console.log('\n🏠 トップページ生成中...');
 	const allSorted = allPostsForTop.sort((a, b) => (a.date < b.date ? 1 : -1));
-	const latestTop = allSorted.slice(0, 10);
-	const buildDate = new Date().toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' });
+	const latestTop = allSorted.slice(0, ctx.config.posts.perPage);
+	const buildDate = ctx.now.toLocaleDateString(LANGUAGES[DEFAULT_LANG].locale, { year: 'numeric', month: 'long', day: 'numeric' });
 
-	// 7日以内に更新があるブログにNEWバッジ
+	// posts.newBadgeDays 日以内に更新があるブログにNEWバッジ
+	const newBadgeDays = ctx.config.posts.newBadgeDays;
 	const isRecent = (slug) => {
 		const blogPosts = allPostsForTop.filter(p => p.blogSlug === slug);
-		if (!blogPosts.length) return false;
+		if (!blogPosts.length || !newBadgeDays) return false;
 		const latest = blogPosts.sort((a, b) => (a.date < b.date ? 1 : -1))[0];
-		const weekAgo = new Date();
-		weekAgo.setDate(weekAgo.getDate() - 7);
-		return new Date(latest.date) > weekAgo;
+		const since = new Date(ctx.now);
+		since.setDate(since.getDate() - newBadgeDays);
+		return new Date(latest.date) > since;
 	};
 
 	// ブログ一覧テーブル行
@@ -674,49 +1906,113 @@ async function build() {
 		return `<tr>
   <td><a href="blogs/${esc(blog.slug)}/index.html" class="word-hyperlink"><span class="word-emoji">${esc(blog.planet.emoji)}</span>${esc(blog.title)}${newBadge}</a></td>
   <td>${esc(blog.desc)}</td>
-  <td>${esc(blog.author)}</td>
+  <td><a href="${esc(authorUrl(blog.author, ''))}" class="word-hyperlink">${esc(authorName(ctx, blog.author))}</a></td>
   <td class="word-bold">${count}</td>
 </tr>`;
 	}).join('\n');
 
 	// 最新記事リスト
-	const latestPostsHtml = latestTop.map(post => {
-		const tagsHtml = post.tags.map(t => `<span class="word-tag">#${esc(t)}</span>`).join('');
-		return `
-<a href="blogs/${esc(post.blogSlug)}/posts/${esc(post.slug)}.html" class="word-blog-entry">
-  <div class="word-blog-entry-title">
-    <span class="word-emoji">${esc(post.blogEmoji)}</span>${esc(post.title)}
-  </div>
-  <div class="word-blog-meta">投稿者: ${esc(post.author)} | ブログ: ${esc(post.blogTitle)} | 日時: ${esc(post.date)}</div>
-  <p class="word-blog-excerpt">${esc(post.excerpt)}</p>
-  ${tagsHtml ? `<div style="margin-top:8px">${tagsHtml}</div>` : ''}
-</a>`.trim();
-	}).join('\n');
-
-	const homeTpl = readTemplate('home.html');
-	const homeHtml = render(homeTpl, {
-		SITE_TITLE: 'スプリング☆ユニバース',
+	const latestPostsHtml = buildPortalPostListHtml(ctx, latestTop, '');
+
+	const homeTpl = readTemplate(ctx, 'home.html');
+	const homeVars = {
+		SITE_TITLE: ctx.site.title,
+		SITE_DESC: ctx.site.description,
+		BLOG_TITLE: ctx.site.title,
+		ROOT_PATH: '',
 		BUILD_DATE: buildDate,
-		BLOG_TABLE_ROWS: blogTableRows,
+		BLOG_TABLE_ROWS: html(blogTableRows),
 		TOTAL_BLOGS: blogs.length,
 		TOTAL_POSTS: allPostsForTop.length,
 		LATEST_DATE: latestTop[0]?.date || 'N/A',
-		LATEST_POSTS: latestPostsHtml,
-	});
+		LATEST_POSTS: html(latestPostsHtml),
+		...feedUrls(ctx, ''),
+		...seoVars(ctx, { relPath: '', title: ctx.site.title, desc: ctx.site.description }),
+		CLIENT_NAV: ctx.features.clientNav,
+	};
+	emitPage(ctx, path.join(outDir, 'index.html'), hash('home', homeTpl, sharedPartials, homeVars),
+		() => render(ctx, homeTpl, homeVars, { name: 'templates/home.html', partials: sharedPartials }));
+
+	// サイト全体のフィード（トップページの最新記事と同じ全ブログの記事）
+	emitFeeds(ctx, { relDir: '', title: ctx.site.title, desc: ctx.site.description, posts: allSorted });
 
-	writeFile(path.join(DIST, 'index.html'), homeHtml);
+	// 全記事アーカイブ
+	emitPostArchive(ctx, allSorted, sharedPartials, sitemapUrls);
+
+	// 日付アーカイブ
+	emitDateArchives(ctx, allSorted, sharedPartials);
+
+	// タグページ
+	emitTagPages(ctx, allSorted, sharedPartials, sitemapUrls);
+
+	// 著者ページ
+	emitAuthorPages(ctx, allSorted, blogs, sharedPartials, sitemapUrls);
+
+	// 全ブログ横断の検索インデックス
+	emitSearchIndex(ctx, allSorted);
+
+	// サイトマップ（トップページを先頭に）
+	if (ctx.features.sitemap) {
+		sitemapUrls.unshift({ LOC: ctx.site.url, LASTMOD: latestTop[0]?.date || '' });
+		emitSitemap(ctx, sitemapUrls);
+	}
 
 	// 404ページ
-	const notFoundTpl = readTemplate('404.html');
-	writeFile(path.join(DIST, '404.html'), notFoundTpl);
+	const notFoundTpl = readTemplate(ctx, '404.html');
+	emitPage(ctx, path.join(outDir, '404.html'), hash('404', notFoundTpl, sharedPartials),
+		() => render(ctx, notFoundTpl, {}, { name: 'templates/404.html', partials: sharedPartials }));
 
 	// .nojekyll（GitHub Pages 用）
-	writeFile(path.join(DIST, '.nojekyll'), '');
+	emitPage(ctx, path.join(outDir, '.nojekyll'), hash('nojekyll'), () => '');
 
-	console.log(`\n✨ ビルド完了！ → dist/\n`);
+	// 出力ファイルの一覧（サイズとハッシュ）
+	if (ctx.features.manifest) emitManifest(ctx);
+
+	// 元の記事が消えたページなどを削除
+	removeStaleOutputs(ctx);
+	cache.save();
+
+	const { generated, unchanged, removed } = cache.stats;
+	console.log(`\n📊 生成 ${generated}件 / 変更なし ${unchanged}件 / 削除 ${removed}件`);
+
+	if (imageProblems.length) {
+		console.warn(`\n⚠️  記事の画像 (${imageProblems.length}件)`);
+		for (const w of imageProblems) console.warn(`   ${w}`);
+	}
+
+	if (ctx.templateWarnings.size) {
+		console.warn(`\n⚠️  未解決のプレースホルダー (${ctx.templateWarnings.size}件)`);
+		for (const w of ctx.templateWarnings) console.warn(`   ${w}`);
+		if (strict) {
+			throw new Error('strict: 未解決のプレースホルダーがあります');
+		}
+	}
+
+	console.log(`\n✨ ビルド完了！ → ${path.relative(ctx.root, outDir)}/\n`);
+
+	const files = cache.outputs().sort();
+	return {
+		outDir,
+		pages: files.filter(file => file.endsWith('.html')),
+		files,
+		stats: { ...cache.stats },
+		warnings: [
+			...imageProblems.map(message => ({ type: 'image', message })),
+			...[...ctx.templateWarnings].map(message => ({ type: 'template', message })),
+		],
+	};
 }
 
-build().catch(err => {
-	console.error('\n❌ ビルドエラー:', err.message);
-	process.exit(1);
-});
+// node scripts/build.mjs として直接実行されたときだけビルドする（dev.mjs からは import）
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+	build({
+		force: process.argv.includes('--force'),
+		strict: process.argv.includes('--strict'),
+		drafts: process.argv.includes('--drafts'),
+		production: process.argv.includes('--production'),
+		configFile: process.argv.includes('--config') ? process.argv[process.argv.indexOf('--config') + 1] : undefined,
+	}).catch(err => {
+		console.error('\n❌ ビルドエラー:', err.message);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,20 @@
+// ===========================
+//  check.mjs
+//  スプリング☆ユニバース
+//  コンテンツの検証（ビルドはしない）
+//
+//  使い方:
+//    npm run check
+//
+//  blogs.json・テーマ・全記事の Frontmatter を調べ、
+//  見つかった問題をすべて表示してから、問題があれば終了コード 1 で終わる（CI 用）
+// ===========================
+
+import { check } from './build.mjs';
+
+check().then(problems => {
+	if (problems.length) process.exit(1);
+}).catch(err => {
+	console.error('\n❌ 検証エラー:', err.message);
+	process.exit(1);
+});
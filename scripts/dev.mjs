@@ -0,0 +1,291 @@
+// ===========================
+//  dev.mjs
+//  スプリング☆ユニバース
+//  開発サーバー（ウォッチ＆ライブリロード）
+//
+//  使い方:
+//    npm run dev       ← ビルド → 配信 → 変更を監視して再ビルド＆ブラウザ自動リロード
+//    npm run preview   ← ビルド済みの出力を配信するだけ（監視なし）
+//
+//  オプション:
+//    --port <番号>     既定: 3000
+//    --no-watch        監視・ライブリロードを行わない
+//    --drafts          下書き・予約投稿を含めて preview/ にビルドして配信する
+//
+//  spring-universe.config.js を変えたときはキャッシュを使わずに全ページを作り直す
+//  （出力先や監視するディレクトリも設定ファイルから読み直す）
+// ===========================
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { build } from './build.mjs';
+import { CONFIG_FILE, loadConfig } from './lib/config.mjs';
+
+const ROOT = process.cwd();
+const CONFIG_PATH = path.join(ROOT, CONFIG_FILE);
+
+const args = process.argv.slice(2);
+const WATCH = !args.includes('--no-watch');
+const DRAFTS = args.includes('--drafts');
+// 配信するディレクトリ（起動時に設定から決め、ビルドのたびに build() の outDir に合わせる）
+let OUT = null;
+const PORT = args.includes('--port') ? Number(args[args.indexOf('--port') + 1]) : 3000;
+
+const RELOAD_PATH = '/__dev/reload';
+const DEBOUNCE_MS = 120;
+
+// ===========================
+//  MIMEタイプ
+// ===========================
+
+const MIME_TYPES = {
+	html: 'text/html; charset=utf-8',
+	css: 'text/css; charset=utf-8',
+	js: 'text/javascript; charset=utf-8',
+	mjs: 'text/javascript; charset=utf-8',
+	json: 'application/json; charset=utf-8',
+	xml: 'application/xml; charset=utf-8',
+	txt: 'text/plain; charset=utf-8',
+	svg: 'image/svg+xml',
+	png: 'image/png',
+	jpg: 'image/jpeg',
+	jpeg: 'image/jpeg',
+	gif: 'image/gif',
+	webp: 'image/webp',
+	avif: 'image/avif',
+	ico: 'image/x-icon',
+	mp3: 'audio/mpeg',
+	ogg: 'audio/ogg',
+	wav: 'audio/wav',
+	m4a: 'audio/mp4',
+	woff: 'font/woff',
+	woff2: 'font/woff2',
+};
+
+function mimeOf(file) {
+	return MIME_TYPES[path.extname(file).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+// ===========================
+//  ライブリロード
+//  Server-Sent Events で接続中のタブに reload を送る
+// ===========================
+
+const clients = new Set();
+
+const RELOAD_SCRIPT = `<script>
+  // dev.mjs のライブリロード（本番ビルドには含まれない）
+  new EventSource('${RELOAD_PATH}').addEventListener('reload', function () { location.reload(); });
+</script>`;
+
+function injectReloadScript(htmlStr) {
+	return htmlStr.includes('</body>')
+		? htmlStr.replace('</body>', `${RELOAD_SCRIPT}\n</body>`)
+		: htmlStr + RELOAD_SCRIPT;
+}
+
+function notifyReload() {
+	for (const res of clients) res.write('event: reload\ndata: \n\n');
+}
+
+// ===========================
+//  静的ファイル配信
+// ===========================
+
+function resolveFile(urlPath) {
+	let rel;
+	try {
+		rel = decodeURIComponent(urlPath.split('?')[0]);
+	} catch {
+		return null;
+	}
+	const file = path.join(OUT, rel);
+	// OUT の外を参照させない
+	if (file !== OUT && !file.startsWith(OUT + path.sep)) return null;
+	if (fs.existsSync(file) && fs.statSync(file).isDirectory()) return path.join(file, 'index.html');
+	return file;
+}
+
+function sendFile(req, res, file, status = 200) {
+	const type = mimeOf(file);
+
+	if (WATCH && type.startsWith('text/html')) {
+		const body = injectReloadScript(fs.readFileSync(file, 'utf-8'));
+		res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+		res.end(body);
+		return;
+	}
+
+	// 音声のシークに必要な Range リクエストに対応
+	const { size } = fs.statSync(file);
+	const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+	if (range && status === 200) {
+		const start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+		const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+		if (start >= size || start > end) {
+			res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+			res.end();
+			return;
+		}
+		res.writeHead(206, {
+			'Content-Type': type,
+			'Content-Length': end - start + 1,
+			'Content-Range': `bytes ${start}-${end}/${size}`,
+			'Accept-Ranges': 'bytes',
+			'Cache-Control': 'no-store',
+		});
+		fs.createReadStream(file, { start, end }).pipe(res);
+		return;
+	}
+
+	res.writeHead(status, {
+		'Content-Type': type,
+		'Content-Length': size,
+		'Accept-Ranges': 'bytes',
+		'Cache-Control': 'no-store',
+	});
+	fs.createReadStream(file).pipe(res);
+}
+
+function handleRequest(req, res) {
+	if (WATCH && req.url === RELOAD_PATH) {
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-store',
+			Connection: 'keep-alive',
+		});
+		res.write(': connected\n\n');
+		clients.add(res);
+		req.on('close', () => clients.delete(res));
+		return;
+	}
+
+	const file = resolveFile(req.url === '/' ? '/index.html' : req.url);
+	if (file && fs.existsSync(file) && fs.statSync(file).isFile()) {
+		sendFile(req, res, file);
+		return;
+	}
+
+	const notFound = path.join(OUT, '404.html');
+	if (fs.existsSync(notFound)) {
+		sendFile(req, res, notFound, 404);
+	} else {
+		res.writeHead(404, { 'Content-Type': MIME_TYPES.txt });
+		res.end('404 Not Found');
+	}
+}
+
+// ===========================
+//  変更の監視
+//  再ビルドはキャッシュにより入力が変わったページだけを生成する
+// ===========================
+
+function listDirs(dir) {
+	if (!fs.existsSync(dir)) return [];
+	const dirs = [dir];
+	for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+		if (entry.isDirectory()) dirs.push(...listDirs(path.join(dir, entry.name)));
+	}
+	return dirs;
+}
+
+// 監視する入力のディレクトリ
+function inputDirs(paths) {
+	return [paths.content, paths.templates, paths.themes, paths.public];
+}
+
+function startWatching(paths, onChange) {
+	const watched = new Map();
+
+	// fs.watch の recursive は Node/OS によって使えないので、ディレクトリごとに監視する
+	const watchDir = (dir) => {
+		if (watched.has(dir)) return;
+		const watcher = fs.watch(dir, (event, filename) => {
+			if (!filename) return;
+			const full = path.join(dir, filename.toString());
+			if (fs.existsSync(full) && fs.statSync(full).isDirectory()) listDirs(full).forEach(watchDir);
+			onChange(full);
+		});
+		watcher.on('error', () => {
+			watcher.close();
+			watched.delete(dir);
+		});
+		watched.set(dir, watcher);
+	};
+
+	const watchRoots = (roots) => {
+		for (const root of roots) listDirs(root).forEach(watchDir);
+	};
+	watchRoots(inputDirs(paths));
+
+	// 設定ファイルはルートのディレクトリごと監視する（エディタの保存でファイルが置き換わっても追える）。
+	// ルートの他のファイル（出力先など）の変更では再ビルドしない
+	fs.watch(ROOT, (event, filename) => {
+		if (filename?.toString() === CONFIG_FILE) onChange(CONFIG_PATH);
+	});
+
+	return { watchRoots };
+}
+
+function watchAndRebuild(paths) {
+	let pending = new Set();
+	let timer = null;
+	let building = false;
+
+	const flush = async () => {
+		if (building) {
+			timer = setTimeout(flush, DEBOUNCE_MS);
+			return;
+		}
+		const changed = [...pending];
+		pending = new Set();
+		building = true;
+
+		console.log(`\n👀 変更を検知: ${changed.map(f => path.relative(ROOT, f)).join(', ')}`);
+		try {
+			if (changed.includes(CONFIG_PATH)) {
+				console.log('⚙️  設定ファイルが変わったので、キャッシュを使わずに作り直します');
+				const config = await loadConfig({ root: ROOT });
+				watcher.watchRoots(inputDirs(config.paths));
+				OUT = (await build({ root: ROOT, drafts: DRAFTS, force: true })).outDir;
+			} else {
+				OUT = (await build({ root: ROOT, drafts: DRAFTS })).outDir;
+			}
+			notifyReload();
+		} catch (err) {
+			console.error('\n❌ ビルドエラー:', err.message);
+		} finally {
+			building = false;
+		}
+	};
+
+	const watcher = startWatching(paths, (file) => {
+		pending.add(file);
+		clearTimeout(timer);
+		timer = setTimeout(flush, DEBOUNCE_MS);
+	});
+	console.log(`👀 content/ templates/ themes/ public/ ${CONFIG_FILE} を監視中`);
+}
+
+// ===========================
+//  起動
+// ===========================
+
+async function main() {
+	const { paths } = await loadConfig({ root: ROOT });
+	OUT = DRAFTS ? paths.previewDir : paths.outDir;
+	if (WATCH || !fs.existsSync(path.join(OUT, 'index.html'))) {
+		OUT = (await build({ root: ROOT, drafts: DRAFTS })).outDir;
+	}
+
+	http.createServer(handleRequest).listen(PORT, () => {
+		console.log(`\n🌐 ${WATCH ? 'Dev' : 'Preview'}: http://localhost:${PORT}`);
+		if (WATCH) watchAndRebuild(paths);
+	});
+}
+
+main().catch(err => {
+	console.error('\n❌ 起動エラー:', err.message);
+	process.exit(1);
+});
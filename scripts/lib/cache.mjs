@@ -0,0 +1,107 @@
+// ===========================
+//  cache.mjs
+//  スプリング☆ユニバース
+//  インクリメンタルビルド用キャッシュ
+//
+//  出力ファイルごとに「入力のハッシュ（キー）」を記録する。
+//  キーが前回と同じで出力ファイルが残っていれば再生成しない。
+//  今回のビルドで出力されなかったファイルは古い出力として削除できる。
+//  出力時の警告（未解決のプレースホルダーなど）も記録し、再生成しなかったときに返す。
+//  パスは出力ディレクトリからの相対パスで保存する。
+// ===========================
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 2;
+
+// 文字列・Buffer・JSON化できる値をまとめてハッシュ化
+export function hash(...parts) {
+	const h = crypto.createHash('sha256');
+	for (const part of parts) {
+		h.update(Buffer.isBuffer(part) || typeof part === 'string' ? part : JSON.stringify(part) ?? '');
+		h.update('\0');
+	}
+	return h.digest('hex').slice(0, 16);
+}
+
+/**
+ * ビルドキャッシュを開く
+ * @param {string} file キャッシュファイルのパス
+ * @param {object} options
+ * @param {string} options.outDir 出力ディレクトリ（変わったらキャッシュは使わない）
+ * @param {string} options.generator ビルドスクリプト自体のハッシュ（変わったら全ページ再生成）
+ * @param {boolean} [options.force] キャッシュを使わない
+ */
+export function openBuildCache(file, { outDir, generator, force = false }) {
+	let previous = null;
+	if (!force && fs.existsSync(file)) {
+		try {
+			previous = JSON.parse(fs.readFileSync(file, 'utf-8'));
+		} catch {
+			previous = null;
+		}
+	}
+	if (previous?.version !== CACHE_VERSION || previous?.outDir !== outDir) previous = null;
+
+	const oldEntries = previous?.entries ?? {};
+	const oldWarnings = previous?.warnings ?? {};
+	// ジェネレーターが変わったらキーは使わない（削除対象の把握には使う）
+	const reusable = previous?.generator === generator;
+	const entries = {};
+	const warnings = {};
+	const stats = { generated: 0, unchanged: 0, removed: 0 };
+	const rel = (outPath) => path.relative(outDir, outPath).split(path.sep).join('/');
+
+	return {
+		// 前回のキャッシュが無い（またはforce）ならクリーンビルドが必要
+		isCold: previous === null,
+
+		stats,
+
+		// 前回と同じ入力で、出力ファイルも残っているか
+		isFresh(outPath, key) {
+			const fresh = reusable && oldEntries[rel(outPath)] === key && fs.existsSync(outPath);
+			if (fresh) {
+				entries[rel(outPath)] = key;
+				if (oldWarnings[rel(outPath)]) warnings[rel(outPath)] = oldWarnings[rel(outPath)];
+				stats.unchanged++;
+			}
+			return fresh;
+		},
+
+		// 今回のビルドで出力したファイルを記録（key が無いものは常に書き出すファイル）
+		// fileWarnings: 出力したときの警告（再生成しなかったビルドでも warningsOf で取り出せる）
+		record(outPath, key = null, fileWarnings = []) {
+			entries[rel(outPath)] = key;
+			if (fileWarnings.length) warnings[rel(outPath)] = fileWarnings;
+			else delete warnings[rel(outPath)];
+			stats.generated++;
+		},
+
+		// 前回のビルドで記録したこのファイルの警告（isFresh が true だったファイル）
+		warningsOf(outPath) {
+			return warnings[rel(outPath)] ?? [];
+		},
+
+		// 今回のビルドの出力ファイル（出力ディレクトリからの相対パス）
+		outputs() {
+			return Object.keys(entries);
+		},
+
+		// 前回は出力していて今回は出力しなかったファイル
+		staleOutputs() {
+			return Object.keys(oldEntries).filter(p => !(p in entries)).map(p => path.join(outDir, p));
+		},
+
+		markRemoved() {
+			stats.removed++;
+		},
+
+		save() {
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, JSON.stringify({ version: CACHE_VERSION, outDir, generator, entries, warnings }), 'utf-8');
+		},
+	};
+}
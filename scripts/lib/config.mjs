@@ -0,0 +1,155 @@
+// ===========================
+//  config.mjs
+//  スプリング☆ユニバース
+//  設定ファイル（spring-universe.config.js）の読み込み
+//
+//  設定ファイルはプロジェクトのルートに置き、設定のオブジェクトを export default する。
+//  書かなかった項目は DEFAULT_CONFIG の値になる。パスはルートからの相対パス。
+//    paths     入出力のディレクトリ
+//    site      サイト名・説明・公開URL（ベースURL）・OGP画像
+//    posts     1ページの記事数・関連記事・NEW バッジ
+//    features  機能の有効/無効
+// ===========================
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILE = 'spring-universe.config.js';
+
+/**
+ * @typedef {object} Config
+ * @property {object} [paths]
+ * @property {string} [paths.content]     コンテンツ（blogs.json・authors.json・blogs/）
+ * @property {string} [paths.templates]   ポータルのテンプレート
+ * @property {string} [paths.themes]      テーマパッケージ
+ * @property {string} [paths.public]      そのまま出力する静的アセット
+ * @property {string} [paths.outDir]      出力先（デプロイするディレクトリ）
+ * @property {string} [paths.previewDir]  --drafts の出力先
+ * @property {string} [paths.cacheDir]    ビルドキャッシュ
+ * @property {object} [site]
+ * @property {string} [site.title]
+ * @property {string} [site.description]
+ * @property {string} [site.url]          公開URL（canonical・OGP・フィード・サイトマップの絶対URLに使う）
+ * @property {string} [site.ogImage]      OGP画像の既定値（サイトのルートからの相対パスか絶対URL）。空なら og:image を出さない
+ * @property {object} [posts]
+ * @property {number} [posts.perPage]              1ページあたりの記事数（blogs.json の postsPerPage で上書きできる）
+ * @property {number} [posts.relatedLimit]         記事ページの関連記事の件数
+ * @property {number} [posts.relatedHalfLifeDays]  関連記事を新しい記事ほど優先する半減期（日数）。0 なら日付で重み付けしない
+ * @property {number} [posts.newBadgeDays]         この日数以内に記事があるブログにトップページで NEW を付ける。0 なら付けない
+ * @property {object} [features]
+ * @property {boolean} [features.clientNav]  トップページからの移動をページの読み直し無しで行う（BGM を止めない）。既定は無効
+ * @property {boolean} [features.sitemap]    sitemap.xml を出力する
+ * @property {boolean} [features.manifest]   build-manifest.json を出力する
+ */
+
+export const DEFAULT_CONFIG = {
+	paths: {
+		content: 'content',
+		templates: 'templates',
+		themes: 'themes',
+		public: 'public',
+		outDir: 'docs',
+		previewDir: 'preview',
+		cacheDir: '.cache',
+	},
+	site: {
+		title: 'スプリング☆ユニバース',
+		description: '',
+		url: 'http://localhost:3000/',
+		ogImage: '',
+	},
+	posts: {
+		perPage: 10,
+		relatedLimit: 3,
+		relatedHalfLifeDays: 180,
+		newBadgeDays: 7,
+	},
+	features: {
+		clientNav: false,
+		sitemap: true,
+		manifest: true,
+	},
+};
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 既定値に重ねる。既定値に無い項目・型の違う値は書き間違いとしてエラーにする
+function mergeSection(section, defaults, values = {}, source) {
+	if (!isPlainObject(values)) throw new Error(`${source}: ${section} はオブジェクトで指定してください`);
+	const merged = { ...defaults };
+	for (const [key, value] of Object.entries(values)) {
+		if (!(key in defaults)) throw new Error(`${source}: 不明な設定 ${section}.${key}`);
+		if (value === undefined) continue;
+		if (typeof value !== typeof defaults[key]) {
+			throw new Error(`${source}: ${section}.${key} は ${typeof defaults[key]} で指定してください`);
+		}
+		merged[key] = value;
+	}
+	return merged;
+}
+
+function mergeConfig(base, values, source) {
+	if (!isPlainObject(values)) throw new Error(`${source}: 設定はオブジェクトで指定してください`);
+	for (const section of Object.keys(values)) {
+		if (!(section in base)) throw new Error(`${source}: 不明な設定 ${section}`);
+	}
+	return Object.fromEntries(Object.entries(base).map(([section, defaults]) =>
+		[section, mergeSection(section, defaults, values[section], source)]));
+}
+
+// dir が target と同じか、target を含む
+function contains(dir, target) {
+	const rel = path.relative(dir, target);
+	return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+// 出力先はビルドのたびに（キャッシュが無ければ丸ごと）削除するので、
+// プロジェクトのルートや入力・キャッシュのディレクトリと同じか、それらを含むディレクトリは使えない
+function checkOutputDirs(root, paths, source) {
+	const inputs = [['プロジェクトのルート', root], ...['content', 'templates', 'themes', 'public', 'cacheDir'].map(key => [`paths.${key}`, paths[key]])];
+	for (const key of ['outDir', 'previewDir']) {
+		for (const [label, dir] of inputs) {
+			if (contains(paths[key], dir)) {
+				throw new Error(`${source}: paths.${key} が ${label} と同じか、それを含んでいます（出力先はビルドで削除されます）`);
+			}
+		}
+	}
+}
+
+/**
+ * 設定を読み込む（設定ファイル → overrides の順に既定値へ重ねる）
+ * @param {object} [options]
+ * @param {string} [options.root] プロジェクトのルート（既定: カレントディレクトリ）
+ * @param {string} [options.file] 設定ファイル（既定: <root>/spring-universe.config.js。無ければ既定値だけ）
+ * @param {Config} [options.overrides] 設定ファイルの値をさらに上書きする
+ * @returns {Promise<Config & { root: string, file: string | null }>} paths は絶対パス、site.url は / で終わる
+ * @throws 出力先（outDir・previewDir）がルートや入力のディレクトリと同じか、それを含むとき
+ */
+export async function loadConfig({ root = process.cwd(), file, overrides = {} } = {}) {
+	root = path.resolve(root);
+	const configFile = file ? path.resolve(root, file) : path.join(root, CONFIG_FILE);
+	let config = DEFAULT_CONFIG;
+
+	if (fs.existsSync(configFile)) {
+		// 開発サーバーで読み直したときに古いモジュールを使わないよう、更新日時をクエリに付ける
+		const url = `${pathToFileURL(configFile).href}?t=${fs.statSync(configFile).mtimeMs}`;
+		const { default: values } = await import(url);
+		config = mergeConfig(config, values, path.relative(root, configFile));
+	} else if (file) {
+		throw new Error(`設定ファイルが見つかりません: ${file}`);
+	}
+	config = mergeConfig(config, overrides, 'build() の config');
+	const paths = Object.fromEntries(Object.entries(config.paths).map(([key, dir]) => [key, path.resolve(root, dir)]));
+	checkOutputDirs(root, paths, fs.existsSync(configFile) ? path.relative(root, configFile) : '設定');
+
+	return {
+		...config,
+		root,
+		file: fs.existsSync(configFile) ? configFile : null,
+		paths,
+		site: { ...config.site, url: config.site.url.replace(/\/?$/, '/') },
+	};
+}
@@ -0,0 +1,57 @@
+// ===========================
+//  headings.mjs
+//  スプリング☆ユニバース
+//  見出しのアンカー（markdown-it プラグイン）
+//
+//  見出しに id を付け、ホバーで出るリンク（.heading-anchor）を末尾に足す。
+//  id は見出しの文字列から slugify で作るので、日本語の見出しもそのまま使える。
+//  同じ文書に同じ id があれば -2, -3 … を付ける（前から順に決まるので、見出しの
+//  文言を変えない限り id は変わらない）。
+//  見出しの一覧は env.headings に { level, id, text } で入る（目次用）。
+//  リンクの aria-label はページの言語で、env.anchorLabel(text) が返す文字列（無ければ見出しの文字列）。
+// ===========================
+
+import { slugify } from './slug.mjs';
+
+function headingText(inline) {
+	return (inline.children ?? [])
+		.filter(t => t.type === 'text' || t.type === 'code_inline')
+		.map(t => t.content)
+		.join('')
+		.trim();
+}
+
+export function headingAnchors(md) {
+	md.core.ruler.push('heading_anchors', (state) => {
+		const used = new Set();
+		const headings = [];
+		const tokens = state.tokens;
+
+		for (let i = 0; i < tokens.length; i++) {
+			if (tokens[i].type !== 'heading_open') continue;
+			const inline = tokens[i + 1];
+			const text = headingText(inline);
+
+			const base = slugify(text) || `section-${headings.length + 1}`;
+			let id = base;
+			for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+			used.add(id);
+
+			tokens[i].attrSet('id', id);
+			headings.push({ level: Number(tokens[i].tag.slice(1)), id, text });
+
+			// 中身は CSS で出す（フィードや検索の抜粋に記号が混ざらないように）
+			const anchor = new state.Token('html_inline', '', 0);
+			const label = state.env.anchorLabel?.(text) ?? text;
+			anchor.content = `<a class="heading-anchor" href="#${md.utils.escapeHtml(id)}" aria-label="${md.utils.escapeHtml(label)}"></a>`;
+			inline.children.push(anchor);
+		}
+
+		state.env.headings = headings;
+	});
+}
+
+// フィードなど、ページの外で読まれる本文からはアンカーを取り除く
+export function stripHeadingAnchors(html) {
+	return html.replace(/<a class="heading-anchor" [^>]*><\/a>/g, '');
+}
@@ -0,0 +1,216 @@
+// ===========================
+//  i18n.mjs
+//  スプリング☆ユニバース
+//  多言語化（言語の定義と UI の文言）
+//
+//  既定の言語のページはサイトのルート、それ以外の言語は <lang>/ の下に出力する。
+//  記事の翻訳は posts/<slug>.<lang>.md（posts/<slug>/ の記事は index.<lang>.md）、
+//  ブログの翻訳は blogs.json の translations.<lang>.{ title, desc }。
+//  翻訳の無い記事・項目は元の言語のまま出す。
+//
+//  文言は言語ごとの表 STRINGS にまとめる。
+//    テンプレート   {{T.KEY}}
+//    ビルド         t(strings, 'KEY', { name: value })  ← 文言中の {name} を置き換える
+//  テーマは theme.json の strings.<lang>.KEY で文言を上書きできる。
+// ===========================
+
+export const DEFAULT_LANG = 'ja';
+
+// label: 言語の切り替えに出す名前（その言語で書く）
+// locale: 日付・数値の書式、ogLocale: og:locale
+// charsPerMinute: 読了時間の計算に使う1分あたりの文字数（空白を除く）
+export const LANGUAGES = {
+	ja: { label: '日本語', locale: 'ja-JP', ogLocale: 'ja_JP', charsPerMinute: 500 },
+	en: { label: 'English', locale: 'en-US', ogLocale: 'en_US', charsPerMinute: 1000 },
+};
+
+export const STRINGS = {
+	ja: {
+		// ----- 記事ページ -----
+		NAV_PREV: '← 前の記事',
+		NAV_NEXT: '次の記事 →',
+		SERIES_NAV_PREV: '← シリーズの前の回',
+		SERIES_NAV_NEXT: 'シリーズの次の回 →',
+		TOC: '目次',
+		HEADING_ANCHOR: '「{heading}」へのリンク',
+		READING_TIME: '約{minutes}分',
+		CHAR_COUNT: '{count}字',
+		READING_LENGTH: '約{minutes}分（{count}字）',
+		AUTHOR: '執筆',
+		WRITTEN_BY_BEFORE: 'この記事は ',
+		WRITTEN_BY_AFTER: ' が執筆しました。',
+		DISCLAIMER: '※ 記事内容は執筆者の個人的見解です。',
+		BACK_TO_POSTS: '記事一覧へ戻る',
+		BACK_TO_LIST: '一覧に戻る',
+		BACK_TO_BLOG: '{blog} の一覧に戻る',
+		RELATED: '関連記事',
+		SERIES: 'シリーズ',
+		SERIES_PART: '第{part}回 / 全{total}回',
+		DRAFT: '下書き',
+		SCHEDULED: '予約投稿（{at} 公開予定）',
+		DRAFT_NOTICE: 'この記事は公開されていません',
+		TRANSLATION_MISSING: 'この記事の{lang}版はまだありません。原文を表示しています。',
+
+		// ----- ブログ一覧 -----
+		HOME: 'ホーム',
+		HOME_BACK: 'ホームへ',
+		POSTS: '記事一覧',
+		POST_COUNT: '記事数',
+		UNIT_POSTS: '件',
+		LATEST: '最終更新',
+		PLANET: '惑星',
+		PLANET_NAME: '{ja} ({en})',
+		NO_POSTS: '記事がまだありません',
+		ARCHIVE_POSTS: '{label}の記事',
+		SERIES_HEADING: 'シリーズ「{series}」全{count}回',
+		SITE_DISCLAIMER: '掲載内容は各執筆者の個人的見解です',
+
+		// ----- ポータルのページ（アーカイブ・タグ・著者・すべての記事。{site} はサイト名） -----
+		POSTED_BY: '投稿者',
+		BLOG: 'ブログ',
+		POSTED_AT: '日時',
+		ARCHIVE: 'アーカイブ',
+		ARCHIVE_DESC: '{site} の年別・月別の記事数',
+		ARCHIVE_POSTS_DESC: '{site} の{label}の記事',
+		TAG_INDEX: 'タグ一覧',
+		TAG_INDEX_DESC: '{site} の全ブログのタグ一覧',
+		TAG_DESC: '{site} の「{tag}」タグの記事一覧',
+		AUTHOR_INDEX: '著者一覧',
+		AUTHOR_INDEX_DESC: '{site} の著者一覧',
+		AUTHOR_DESC: '{site} の {author} の記事一覧',
+		ALL_POSTS: 'すべての記事',
+		ALL_POSTS_DESC: '{site} の全ブログの記事一覧',
+
+		// ----- タグフィルター（{shown} / {total} は public/assets/js/tag-filter.js が置き換える） -----
+		TAG_FILTER: 'タグで絞り込み',
+		TAG_ALL: 'すべて',
+		TAG_MODE: '複数のタグの組み合わせ',
+		TAG_MODE_OR: 'OR（いずれか）',
+		TAG_MODE_AND: 'AND（すべて）',
+		TAG_EMPTY: '選んだタグに該当する記事はありません',
+		TAG_STATUS: '{total}件中 {shown}件を表示',
+		TAG_SCOPE_PAGE: 'このページの記事だけを絞り込みます（{page} / {pages}ページ）',
+
+		// ----- 全文検索（{terms} / {count} / {limit} は public/assets/js/search.js が置き換える） -----
+		SEARCH: '全ブログから検索',
+		SEARCH_LABEL: '全ブログの記事を検索',
+		SEARCH_PLACEHOLDER: 'キーワードを入力（例: 温泉 星空）',
+		SEARCH_EMPTY: '「{terms}」に一致する記事は見つかりませんでした',
+		SEARCH_HITS: '{count}件ヒット',
+		SEARCH_MORE: '（上位{limit}件を表示）',
+
+		// ----- ページ送り・カレンダー -----
+		PAGINATION: 'ページ送り',
+		PAGE_PREV: '前へ',
+		PAGE_NEXT: '次へ',
+		PREV_PAGE: '前のページ',
+		NEXT_PAGE: '次のページ',
+		CALENDAR: 'カレンダー',
+		MONTH_PREV: '前の月',
+		MONTH_NEXT: '次の月',
+
+		// ----- 言語の切り替え -----
+		LANGUAGE: '言語',
+	},
+
+	en: {
+		NAV_PREV: '← Previous post',
+		NAV_NEXT: 'Next post →',
+		SERIES_NAV_PREV: '← Previous in series',
+		SERIES_NAV_NEXT: 'Next in series →',
+		TOC: 'Contents',
+		HEADING_ANCHOR: 'Link to “{heading}”',
+		READING_TIME: '{minutes} min read',
+		CHAR_COUNT: '{count} chars',
+		READING_LENGTH: '{minutes} min read ({count} chars)',
+		AUTHOR: 'Author',
+		WRITTEN_BY_BEFORE: 'Written by ',
+		WRITTEN_BY_AFTER: '.',
+		DISCLAIMER: '* The views expressed here are the author’s own.',
+		BACK_TO_POSTS: 'Back to posts',
+		BACK_TO_LIST: 'Back to the list',
+		BACK_TO_BLOG: 'Back to {blog}',
+		RELATED: 'Related posts',
+		SERIES: 'Series',
+		SERIES_PART: 'Part {part} of {total}',
+		DRAFT: 'Draft',
+		SCHEDULED: 'Scheduled (publishes {at})',
+		DRAFT_NOTICE: 'This post is not published',
+		TRANSLATION_MISSING: 'This post is not available in {lang} yet, so the original is shown.',
+
+		HOME: 'Home',
+		HOME_BACK: 'Home',
+		POSTS: 'Posts',
+		POST_COUNT: 'Posts',
+		UNIT_POSTS: '',
+		LATEST: 'Last updated',
+		PLANET: 'Planet',
+		PLANET_NAME: '{en}',
+		NO_POSTS: 'No posts yet',
+		ARCHIVE_POSTS: 'Posts from {label}',
+		SERIES_HEADING: 'Series “{series}” ({count} parts)',
+		SITE_DISCLAIMER: 'Each post reflects the personal views of its author',
+
+		POSTED_BY: 'Author',
+		BLOG: 'Blog',
+		POSTED_AT: 'Date',
+		ARCHIVE: 'Archive',
+		ARCHIVE_DESC: 'Post counts by year and month on {site}',
+		ARCHIVE_POSTS_DESC: 'Posts from {label} on {site}',
+		TAG_INDEX: 'Tags',
+		TAG_INDEX_DESC: 'Tags across all blogs on {site}',
+		TAG_DESC: 'Posts tagged “{tag}” on {site}',
+		AUTHOR_INDEX: 'Authors',
+		AUTHOR_INDEX_DESC: 'Authors on {site}',
+		AUTHOR_DESC: 'Posts by {author} on {site}',
+		ALL_POSTS: 'All posts',
+		ALL_POSTS_DESC: 'All posts across the blogs on {site}',
+
+		TAG_FILTER: 'Filter by tag',
+		TAG_ALL: 'All',
+		TAG_MODE: 'How to combine tags',
+		TAG_MODE_OR: 'OR (any)',
+		TAG_MODE_AND: 'AND (all)',
+		TAG_EMPTY: 'No posts match the selected tags',
+		TAG_STATUS: 'Showing {shown} of {total}',
+		TAG_SCOPE_PAGE: 'Filters only the posts on this page (page {page} of {pages})',
+
+		SEARCH: 'Search all blogs',
+		SEARCH_LABEL: 'Search posts in all blogs',
+		SEARCH_PLACEHOLDER: 'Enter keywords (e.g. onsen stars)',
+		SEARCH_EMPTY: 'No posts found for “{terms}”',
+		SEARCH_HITS: '{count} results',
+		SEARCH_MORE: ' (showing the top {limit})',
+
+		PAGINATION: 'Pagination',
+		PAGE_PREV: 'Prev',
+		PAGE_NEXT: 'Next',
+		PREV_PAGE: 'Previous page',
+		NEXT_PAGE: 'Next page',
+		CALENDAR: 'Calendar',
+		MONTH_PREV: 'Previous month',
+		MONTH_NEXT: 'Next month',
+
+		LANGUAGE: 'Language',
+	},
+};
+
+/**
+ * 言語の文言の表（既定の言語 → その言語 → テーマの上書き の順に重ねる）
+ * @param {string} lang
+ * @param {Record<string, Record<string, string>>} [overrides] theme.json の strings
+ * @returns {Record<string, string>}
+ */
+export function uiStrings(lang, overrides = {}) {
+	return { ...STRINGS[DEFAULT_LANG], ...STRINGS[lang], ...overrides[lang] };
+}
+
+/**
+ * 文言を取り出して {name} を params の値に置き換える
+ * @param {Record<string, string>} strings uiStrings() の表
+ * @param {string} key
+ * @param {Record<string, string | number>} [params]
+ */
+export function t(strings, key, params = {}) {
+	return strings[key].replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
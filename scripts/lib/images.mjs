@@ -0,0 +1,172 @@
+// ===========================
+//  images.mjs
+//  スプリング☆ユニバース
+//  記事の画像（markdown-it プラグイン）
+//
+//  posts/<slug>/index.md の記事は、同じディレクトリの画像などのファイル（アセット）を
+//  相対パスで参照できる。ファイルは記事ページの隣の posts/<slug>/ にコピーされるので、
+//  本文の src / href を <slug>/ から始まる形に書き換える。
+//  <img> には画像ファイルから読んだ width / height と loading="lazy" を付ける。
+//
+//  env に渡すもの:
+//    assetDir   アセットのあるディレクトリ（<slug>.md の記事は null）
+//    assetBase  書き換え後の URL の先頭（例: "2026-02-20-sketch/"）
+//    assets     assetDir からの相対パス（/ 区切り）の Set
+// ===========================
+
+import fs from 'fs';
+import path from 'path';
+
+// ----- 画像サイズ（PNG / GIF / JPEG / WebP / SVG のヘッダーから読む） -----
+
+function pngSize(buf) {
+	if (buf.length < 24 || buf.readUInt32BE(0) !== 0x89504e47 || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+	return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function gifSize(buf) {
+	if (buf.length < 10 || buf.toString('ascii', 0, 4) !== 'GIF8') return null;
+	return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+// SOF マーカー（C4・C8・CC 以外の C0〜CF）のセグメントに縦横がある
+function jpegSize(buf) {
+	if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+	let offset = 2;
+	while (offset + 9 < buf.length) {
+		if (buf[offset] !== 0xff) return null;
+		const marker = buf[offset + 1];
+		if (marker === 0xff) {
+			offset++;
+			continue;
+		}
+		if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+			return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+		}
+		offset += 2 + buf.readUInt16BE(offset + 2);
+	}
+	return null;
+}
+
+function webpSize(buf) {
+	if (buf.length < 30 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+	const chunk = buf.toString('ascii', 12, 16);
+	if (chunk === 'VP8 ') return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+	if (chunk === 'VP8L') {
+		const bits = buf.readUInt32LE(21);
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+	}
+	if (chunk === 'VP8X') return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+	return null;
+}
+
+// width / height（px か単位なし）、無ければ viewBox
+function svgSize(buf) {
+	const tag = /<svg\b[^>]*>/i.exec(buf.toString('utf-8'))?.[0];
+	if (!tag) return null;
+	const attr = (name) => new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i').exec(tag)?.[1];
+	const width = Number(attr('width'));
+	const height = Number(attr('height'));
+	if (width && height) return { width: Math.round(width), height: Math.round(height) };
+	const viewBox = /\sviewBox\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1].trim().split(/[\s,]+/).map(Number);
+	if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+		return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+	}
+	return null;
+}
+
+/**
+ * 画像ファイルの縦横（px）を読む。読めない形式なら null
+ * @param {string} file
+ * @returns {{ width: number, height: number } | null}
+ */
+export function imageSize(file) {
+	const buf = fs.readFileSync(file);
+	const size = path.extname(file).toLowerCase() === '.svg'
+		? svgSize(buf)
+		: pngSize(buf) ?? gifSize(buf) ?? jpegSize(buf) ?? webpSize(buf);
+	return size && size.width > 0 && size.height > 0 ? size : null;
+}
+
+// ----- 相対参照の解決 -----
+
+// スキーム付き・/ 始まり・# 始まりでない URL
+function isRelativeUrl(url) {
+	return !!url && !/^([a-z][a-z\d+.-]*:|\/|#)/i.test(url);
+}
+
+/**
+ * 本文の相対 URL を記事のアセットとして解決する
+ * @param {string} url
+ * @param {object} env renderMarkdown に渡した env
+ * @returns {{ url: string, file: string } | null} アセットでなければ null
+ */
+function resolveAsset(url, env) {
+	if (!env.assetDir || !isRelativeUrl(url)) return null;
+	const [, pathPart, suffix] = /^([^?#]*)(.*)$/.exec(url);
+	let rel;
+	try {
+		rel = path.posix.normalize(decodeURI(pathPart)).replace(/^\.\//, '');
+	} catch {
+		return null;
+	}
+	if (!env.assets?.has(rel)) return null;
+	return { url: `${env.assetBase}${encodeURI(rel)}${suffix}`, file: path.join(env.assetDir, ...rel.split('/')) };
+}
+
+// ----- markdown-it プラグイン -----
+
+export function postImages(md) {
+	const defaultImage = md.renderer.rules.image;
+	const defaultLinkOpen = md.renderer.rules.link_open ?? ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+
+	md.renderer.rules.image = (tokens, idx, options, env, self) => {
+		const token = tokens[idx];
+		const asset = resolveAsset(token.attrGet('src'), env);
+		if (asset) {
+			token.attrSet('src', asset.url);
+			const size = imageSize(asset.file);
+			if (size) {
+				token.attrSet('width', String(size.width));
+				token.attrSet('height', String(size.height));
+			}
+		}
+		token.attrSet('loading', 'lazy');
+		token.attrSet('decoding', 'async');
+		return defaultImage(tokens, idx, options, env, self);
+	};
+
+	// [PDF](slides.pdf) のようなアセットへのリンクも書き換える
+	md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+		const asset = resolveAsset(tokens[idx].attrGet('href'), env);
+		if (asset) tokens[idx].attrSet('href', asset.url);
+		return defaultLinkOpen(tokens, idx, options, env, self);
+	};
+}
+
+/**
+ * 本文の画像の問題（alt が無い・参照先のファイルが無い）を調べる
+ * @param {object} md postImages を使う markdown-it
+ * @param {string} content Markdown
+ * @param {object} env renderMarkdown に渡すのと同じ env
+ * @returns {string[]}
+ */
+export function imageWarnings(md, content, env) {
+	const warnings = [];
+	const walk = (tokens) => {
+		for (const token of tokens) {
+			if (token.children) walk(token.children);
+			if (token.type !== 'image') continue;
+			const src = token.attrGet('src');
+			if (!token.content.trim()) warnings.push(`画像 ${src} に代替テキスト（alt）がありません`);
+			if (!isRelativeUrl(src)) continue;
+			if (!env.assetDir) {
+				warnings.push(`画像 ${src} は相対パスです（記事を posts/<slug>/index.md にして、画像を同じディレクトリに置いてください）`);
+			} else if (!resolveAsset(src, env)) {
+				warnings.push(`画像 ${src} が記事のディレクトリにありません`);
+			}
+		}
+	};
+	walk(md.parse(content || '', env));
+	return warnings;
+}
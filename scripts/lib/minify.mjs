@@ -0,0 +1,288 @@
+// ===========================
+//  minify.mjs
+//  スプリング☆ユニバース
+//  HTML / CSS / JS の圧縮（本番ビルド用）
+//
+//  依存パッケージを増やさないための控えめな圧縮。構文は解析せず、
+//  文字列・正規表現・コメントだけを見分けて、コメントと余分な空白を取り除く。
+//    JS    コメントを消し、字下げ・空行と記号の前後の空白を詰める（改行は残すので ASI に影響しない）
+//    CSS   コメントを消し、空白を詰め、{ } ; , > : の前後の空白を取る
+//    HTML  コメントを消し、テキストの空白を1つに詰める。<pre> / <textarea> はそのまま、
+//          <script> / <style> の中は JS / CSS として圧縮する。
+//          要素の間の空白は表示に影響しない要素（head の中身など）の隣でだけ取り除く
+//
+//  テストは test/minify.test.mjs（npm test）。圧縮を変えたら、壊しやすい書き方の例をそこに足す
+// ===========================
+
+// ----- 共通 -----
+
+// 引用符で囲まれた文字列の終わり（閉じ引用符の次）の位置
+function skipString(src, start) {
+	const quote = src[start];
+	let i = start + 1;
+	while (i < src.length && src[i] !== quote) {
+		i += src[i] === '\\' ? 2 : 1;
+	}
+	return i + 1;
+}
+
+// ----- JS -----
+
+// この文字・語の後ろの / は割り算ではなく正規表現の始まり
+const REGEX_AFTER_CHARS = new Set('(,=:[!&|?{};+-*%<>~^'.split(''));
+const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+// この文字の前後の空白は取り除ける（+ - / は「a - -b」「a / /re/」が変わるので残す）
+const JS_TIGHT = new Set('{}()[];,:=<>!&|?*%^~'.split(''));
+
+function regexAllowed(out) {
+	const code = out.trimEnd();
+	if (!code) return true;
+	const last = code[code.length - 1];
+	if (REGEX_AFTER_CHARS.has(last)) return true;
+	const word = /[A-Za-z_$][\w$]*$/.exec(code)?.[0];
+	return !!word && REGEX_AFTER_WORDS.has(word);
+}
+
+// 正規表現リテラルの終わり（フラグの次）の位置
+function skipRegex(src, start) {
+	let i = start + 1;
+	let inClass = false;
+	while (i < src.length) {
+		const c = src[i];
+		if (c === '\\') {
+			i += 2;
+			continue;
+		}
+		if (c === '\n') return -1;
+		if (inClass) {
+			if (c === ']') inClass = false;
+		} else if (c === '[') {
+			inClass = true;
+		} else if (c === '/') {
+			break;
+		}
+		i++;
+	}
+	i++;
+	while (i < src.length && /[a-z]/i.test(src[i])) i++;
+	return i;
+}
+
+// テンプレートリテラルの終わり（${ } の中の文字列・入れ子のテンプレートも見る）
+function skipTemplate(src, start) {
+	let i = start + 1;
+	while (i < src.length) {
+		const c = src[i];
+		if (c === '\\') {
+			i += 2;
+		} else if (c === '`') {
+			return i + 1;
+		} else if (c === '$' && src[i + 1] === '{') {
+			let depth = 1;
+			i += 2;
+			while (i < src.length && depth > 0) {
+				const d = src[i];
+				if (d === '{') depth++;
+				else if (d === '}') depth--;
+				if (d === '"' || d === "'") i = skipString(src, i);
+				else if (d === '`') i = skipTemplate(src, i);
+				else i++;
+			}
+		} else {
+			i++;
+		}
+	}
+	return i;
+}
+
+/**
+ * JS を圧縮する
+ * @param {string} src
+ * @returns {string}
+ */
+export function minifyJs(src) {
+	let out = '';
+	// 空白・コメントをまとめて、改行を含めば改行1つ、含まなければ空白1つにする
+	let pending = '';
+	const emit = (text) => {
+		if (pending && out && !out.endsWith('\n')) {
+			if (pending === '\n' || !(JS_TIGHT.has(out[out.length - 1]) || JS_TIGHT.has(text[0]))) out += pending;
+		}
+		pending = '';
+		out += text;
+	};
+	const space = (text) => {
+		if (text.includes('\n')) pending = '\n';
+		else if (!pending) pending = ' ';
+	};
+
+	let i = 0;
+	while (i < src.length) {
+		const c = src[i];
+		const next = src[i + 1];
+		let end;
+		if (/\s/.test(c)) {
+			end = i;
+			while (end < src.length && /\s/.test(src[end])) end++;
+			space(src.slice(i, end));
+		} else if (c === '/' && next === '/') {
+			end = src.indexOf('\n', i);
+			if (end === -1) end = src.length;
+			space(' ');
+		} else if (c === '/' && next === '*') {
+			end = src.indexOf('*/', i + 2);
+			end = end === -1 ? src.length : end + 2;
+			space(src.slice(i, end));
+		} else if (c === '"' || c === "'") {
+			end = skipString(src, i);
+			emit(src.slice(i, end));
+		} else if (c === '`') {
+			end = skipTemplate(src, i);
+			emit(src.slice(i, end));
+		} else if (c === '/' && regexAllowed(out + pending)) {
+			end = skipRegex(src, i);
+			if (end === -1) end = i + 1;
+			emit(src.slice(i, end));
+		} else {
+			end = i + 1;
+			emit(c);
+		}
+		i = end;
+	}
+	return out.trimEnd() + '\n';
+}
+
+// ----- CSS -----
+
+// この文字の前後の空白は取り除ける（: は後ろだけ。セレクターの「a :hover」を変えないため）
+const CSS_TIGHT_BOTH = new Set(['{', '}', ';', ',', '>']);
+
+/**
+ * CSS を圧縮する
+ * @param {string} src
+ * @returns {string}
+ */
+export function minifyCss(src) {
+	let out = '';
+	let pendingSpace = false;
+	const emit = (text) => {
+		if (pendingSpace && out && !CSS_TIGHT_BOTH.has(out[out.length - 1]) && !out.endsWith(':') && !out.endsWith('(')
+			&& !CSS_TIGHT_BOTH.has(text[0]) && text[0] !== ')') {
+			out += ' ';
+		}
+		pendingSpace = false;
+		// 最後の宣言の ; は不要
+		if (text === '}' && out.endsWith(';')) out = out.slice(0, -1);
+		out += text;
+	};
+
+	let i = 0;
+	while (i < src.length) {
+		const c = src[i];
+		let end;
+		if (/\s/.test(c)) {
+			end = i;
+			while (end < src.length && /\s/.test(src[end])) end++;
+			pendingSpace = true;
+		} else if (c === '/' && src[i + 1] === '*') {
+			end = src.indexOf('*/', i + 2);
+			end = end === -1 ? src.length : end + 2;
+		} else if (c === '"' || c === "'") {
+			end = skipString(src, i);
+			emit(src.slice(i, end));
+		} else {
+			end = i + 1;
+			emit(c);
+		}
+		i = end;
+	}
+	return out + '\n';
+}
+
+// ----- HTML -----
+
+// 隣の空白を取り除いても表示が変わらない要素
+const HTML_NO_RENDER = new Set(['html', 'head', 'body', 'meta', 'link', 'title', 'script', 'style', 'base', 'template', '!doctype']);
+// 中身をそのまま残す（script / style は JS / CSS として圧縮する）
+const HTML_RAW = new Set(['script', 'style', 'pre', 'textarea']);
+
+// タグの終わり（> の次）。属性値の中の > は飛ばす
+function skipTag(src, start) {
+	let i = start + 1;
+	while (i < src.length && src[i] !== '>') {
+		i = src[i] === '"' || src[i] === "'" ? skipString(src, i) : i + 1;
+	}
+	return i + 1;
+}
+
+function minifyRaw(name, openTag, body) {
+	if (name === 'style') return minifyCss(body).trim();
+	if (name !== 'script') return body;
+	// JSON-LD などはそのまま（build.mjs の jsonLd() で1行になっている）
+	const type = /\stype\s*=\s*["']?([^"'\s>]+)/i.exec(openTag)?.[1].toLowerCase() ?? '';
+	if (type && !/javascript|module/.test(type)) return body;
+	return body.trim() ? minifyJs(body).trim() : body;
+}
+
+/**
+ * HTML を圧縮する
+ * @param {string} src
+ * @returns {string}
+ */
+export function minifyHtml(src) {
+	// タグ（{ tag, name }）とテキスト（{ text }）に分ける
+	const parts = [];
+	let i = 0;
+	while (i < src.length) {
+		if (src.startsWith('<!--', i)) {
+			const end = src.indexOf('-->', i + 4);
+			const stop = end === -1 ? src.length : end + 3;
+			// 条件付きコメントだけは残す
+			if (src.startsWith('<!--[if', i)) parts.push({ tag: src.slice(i, stop), name: '!--' });
+			i = stop;
+			continue;
+		}
+		const tagMatch = /^<(\/?)([a-zA-Z][\w-]*|!doctype)/i.exec(src.slice(i, i + 64));
+		if (!tagMatch) {
+			const next = src.indexOf('<', i + 1);
+			const end = next === -1 ? src.length : next;
+			// 消したコメントの前後のテキストは1つにまとめる（空白を2つ残さない）
+			const prev = parts[parts.length - 1];
+			if (prev?.text !== undefined) prev.text += src.slice(i, end);
+			else parts.push({ text: src.slice(i, end) });
+			i = end;
+			continue;
+		}
+		const end = skipTag(src, i);
+		const tag = src.slice(i, end);
+		const name = tagMatch[2].toLowerCase();
+		parts.push({ tag, name });
+		i = end;
+		if (!tagMatch[1] && HTML_RAW.has(name)) {
+			const close = new RegExp(`</${name}`, 'ig');
+			close.lastIndex = i;
+			const stop = close.exec(src)?.index ?? src.length;
+			parts.push({ raw: minifyRaw(name, tag, src.slice(i, stop)) });
+			i = stop;
+		}
+	}
+
+	let out = '';
+	parts.forEach((part, index) => {
+		if (part.tag !== undefined || part.raw !== undefined) {
+			out += part.tag ?? part.raw;
+			return;
+		}
+		// HTML の空白だけを詰める（\s だと全角スペースも含まれる）
+		const text = part.text.replace(/[ \t\n\r\f]+/g, ' ');
+		if (text !== ' ') {
+			out += text;
+			return;
+		}
+		const prev = parts[index - 1];
+		const next = parts[index + 1];
+		const quiet = (p) => !p || (p.raw === undefined && p.tag !== undefined && HTML_NO_RENDER.has(p.name));
+		if (!(quiet(prev) || quiet(next))) out += ' ';
+	});
+	return out.trim() + '\n';
+}
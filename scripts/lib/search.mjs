@@ -0,0 +1,64 @@
+// ===========================
+//  search.mjs
+//  スプリング☆ユニバース
+//  全文検索インデックス
+//
+//  日本語は単語の区切りが無いので、文字の 2-gram で転置インデックスを作る。
+//  記号・空白で区切った1文字だけの語は 1-gram として登録する。
+//  正規化と分割は public/assets/js/search.js と同じでなければならない。
+//
+//  出力形式:
+//    {
+//      version: 3,
+//      docs: [{ u: URL（サイトのルートから）, t: タイトル, b: ブログ名, m: 絵文字,
+//               d: 日付, g: タグ, e: 抜粋, x: 本文テキスト（全文。空白は1つに詰める） }],
+//      grams: { "<gram>": [docId, 重み, docId, 重み, ...] }
+//    }
+// ===========================
+
+// 本文テキスト x は切り詰めない。search.js が語の並びの確認とスニペットの切り出しに全文を使うため
+export const SEARCH_INDEX_VERSION = 3;
+
+// フィールドごとの重み（1回の出現あたり）
+const FIELD_WEIGHTS = { t: 10, g: 6, e: 3, x: 1 };
+
+const SEPARATOR = /[\s\p{P}\p{S}]+/u;
+
+// 全角英数・半角カナを揃え、英字は小文字にする
+export function normalizeText(text) {
+	return String(text ?? '').normalize('NFKC').toLowerCase();
+}
+
+export function ngrams(text) {
+	const grams = [];
+	for (const segment of normalizeText(text).split(SEPARATOR)) {
+		const chars = [...segment];
+		if (chars.length === 1) grams.push(chars[0]);
+		for (let i = 0; i < chars.length - 1; i++) grams.push(chars[i] + chars[i + 1]);
+	}
+	return grams;
+}
+
+/**
+ * 検索インデックスを作る
+ * @param {Array<{u: string, t: string, b: string, m: string, d: string, g: string[], e: string, x: string}>} docs
+ */
+export function buildSearchIndex(docs) {
+	const postings = new Map();
+
+	docs.forEach((doc, id) => {
+		const weights = new Map();
+		for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+			const text = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+			for (const gram of ngrams(text)) weights.set(gram, (weights.get(gram) || 0) + weight);
+		}
+		for (const [gram, weight] of weights) {
+			if (!postings.has(gram)) postings.set(gram, []);
+			postings.get(gram).push(id, weight);
+		}
+	});
+
+	// キーの順序を固定して、内容が同じなら出力も同じにする
+	const grams = Object.fromEntries([...postings.keys()].sort().map(g => [g, postings.get(g)]));
+	return { version: SEARCH_INDEX_VERSION, docs, grams };
+}
@@ -0,0 +1,47 @@
+// ===========================
+//  slug.mjs
+//  スプリング☆ユニバース
+//  URL・ファイル名用のスラッグ
+//
+//  日本語はローマ字にせずそのまま残す（リンクでは encodeURIComponent する）。
+//  英数字は NFKC で半角に揃えて小文字にし、
+//  空白や / ? # % などの記号は - にまとめる。
+// ===========================
+
+import { hash } from './cache.mjs';
+
+export function slugify(text) {
+	return String(text ?? '')
+		.normalize('NFKC')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}\p{M}_-]+/gu, '-')
+		.replace(/-{2,}/g, '-')
+		.replace(/^-|-$/g, '');
+}
+
+/**
+ * 重複しないスラッグを割り当てる
+ * 「AI」と「ai」、「C++」と「C」のように同じスラッグになる組や、
+ * 記号だけで空になるものは、元の文字列のハッシュを付けて区別する
+ * @param {string[]} names
+ * @param {string} [fallback] スラッグが空になったときの接頭辞
+ * @returns {Map<string, string>} 元の文字列 → スラッグ
+ */
+export function uniqueSlugs(names, fallback = 'item') {
+	const groups = new Map();
+	for (const name of [...new Set(names)].sort()) {
+		const slug = slugify(name) || fallback;
+		if (!groups.has(slug)) groups.set(slug, []);
+		groups.get(slug).push(name);
+	}
+
+	const slugs = new Map();
+	for (const [slug, members] of groups) {
+		members.forEach((name, i) => {
+			// 最初の1つ（空でなければ）はそのまま、残りはハッシュ付き
+			const plain = i === 0 && slug !== fallback;
+			slugs.set(name, plain ? slug : `${slug}-${hash(name).slice(0, 6)}`);
+		});
+	}
+	return slugs;
+}
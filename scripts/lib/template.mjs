@@ -0,0 +1,232 @@
+// ===========================
+//  template.mjs
+//  スプリング☆ユニバース
+//  テンプレートエンジン
+//
+//  構文:
+//    {{KEY}}                 値を出力（HTMLエスケープ）
+//    {{KEY | raw}}           エスケープせずに出力
+//    {{KEY | escape}}        SafeHtml でも強制的にエスケープ
+//    {{#if KEY}}…{{else}}…{{/if}}
+//    {{#unless KEY}}…{{/unless}}
+//    {{#each LIST}}…{{else}}…{{/each}}
+//        ループ内では要素のプロパティ、{{this}}、{{@index}}、{{@first}}、{{@last}} を参照できる
+//    {{> partial-name}}      パーシャルを現在のコンテキストで展開（展開中のパーシャルを再び展開するとエラー）
+//
+//  解決できないプレースホルダーは onMissing に通知され、空文字として出力される
+//  ブロックタグ（#if / else / /each など）だけの行は、行ごと出力から取り除く
+// ===========================
+
+// XSSエスケープ
+export function esc(str) {
+	if (!str && str !== 0) return '';
+	return String(str)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// ビルド側で組み立てたHTML断片。{{KEY}} でもエスケープされない
+export class SafeHtml {
+	constructor(html) {
+		this.html = String(html ?? '');
+	}
+
+	toString() {
+		return this.html;
+	}
+}
+
+export function html(str) {
+	return str instanceof SafeHtml ? str : new SafeHtml(str);
+}
+
+const FILTERS = {
+	escape: (val) => html(esc(String(val ?? ''))),
+	raw: (val) => html(val),
+};
+
+// ===========================
+//  パース
+// ===========================
+
+const TAG_RE = /\{\{\s*(.*?)\s*\}\}/gs;
+
+function lineOf(src, index) {
+	return src.slice(0, index).split('\n').length;
+}
+
+function parse(src, name) {
+	const root = { type: 'root', body: [] };
+	const stack = [root];
+	let current = root.body;
+	let last = 0;
+
+	const fail = (msg, index) => {
+		throw new Error(`テンプレート構文エラー: ${msg} (${name}:${lineOf(src, index)})`);
+	};
+
+	for (const m of src.matchAll(TAG_RE)) {
+		const tag = m[1];
+		const line = lineOf(src, m.index);
+
+		// ブロックタグが単独で1行を占めるなら、その行の空白と改行も消す
+		let textEnd = m.index;
+		let tagEnd = m.index + m[0].length;
+		if (/^[#/]|^else$/.test(tag)) {
+			const lineStart = src.lastIndexOf('\n', m.index - 1) + 1;
+			const lineEnd = src.indexOf('\n', tagEnd);
+			const rest = src.slice(tagEnd, lineEnd === -1 ? src.length : lineEnd);
+			if (lineStart >= last && /^[ \t]*$/.test(src.slice(lineStart, m.index)) && /^[ \t\r]*$/.test(rest)) {
+				textEnd = lineStart;
+				tagEnd = lineEnd === -1 ? src.length : lineEnd + 1;
+			}
+		}
+
+		if (textEnd > last) current.push({ type: 'text', value: src.slice(last, textEnd) });
+		last = tagEnd;
+
+		if (tag.startsWith('#')) {
+			const [kind, arg] = tag.slice(1).split(/\s+/, 2);
+			if (!['if', 'unless', 'each'].includes(kind) || !arg) fail(`不正なブロック {{${tag}}}`, m.index);
+			const node = { type: kind, path: arg, body: [], elseBody: [], active: 'body', line };
+			current.push(node);
+			stack.push(node);
+			current = node.body;
+		} else if (tag === 'else') {
+			const node = stack[stack.length - 1];
+			if (node.type === 'root') fail('対応するブロックのない {{else}}', m.index);
+			node.active = 'elseBody';
+			current = node.elseBody;
+		} else if (tag.startsWith('/')) {
+			const kind = tag.slice(1).trim();
+			const node = stack.pop();
+			if (node.type !== kind) fail(`{{/${kind}}} に対応する {{#${kind}}} がありません`, m.index);
+			const parent = stack[stack.length - 1];
+			current = parent.type === 'root' ? parent.body : parent[parent.active];
+		} else if (tag.startsWith('>')) {
+			current.push({ type: 'partial', name: tag.slice(1).trim(), line });
+		} else {
+			const [pathPart, ...filters] = tag.split('|').map(s => s.trim());
+			for (const f of filters) {
+				if (!FILTERS[f]) fail(`未知のフィルター "${f}"`, m.index);
+			}
+			current.push({ type: 'var', path: pathPart, filters, line });
+		}
+	}
+
+	if (stack.length > 1) {
+		const open = stack[stack.length - 1];
+		throw new Error(`テンプレート構文エラー: {{#${open.type} ${open.path}}} が閉じられていません (${name}:${open.line})`);
+	}
+	if (last < src.length) current.push({ type: 'text', value: src.slice(last) });
+	return root.body;
+}
+
+// 同じテンプレート文字列は一度だけパースする
+const cache = new Map();
+
+function compile(src, name) {
+	const key = `${name}\0${src}`;
+	if (!cache.has(key)) cache.set(key, parse(src, name));
+	return cache.get(key);
+}
+
+// ===========================
+//  レンダリング
+// ===========================
+
+// scopes は内側から順に探索する（each の要素 → 外側の変数）
+function lookup(scopes, pathStr) {
+	for (let i = scopes.length - 1; i >= 0; i--) {
+		const scope = scopes[i];
+		if (pathStr === 'this' && '__this' in scope) return { found: true, value: scope.__this };
+
+		const [head, ...rest] = pathStr.split('.');
+		const base = head === 'this' ? scope.__this : scope;
+		if (base == null || typeof base !== 'object' || !(head === 'this' || head in base)) continue;
+
+		let value = head === 'this' ? base : base[head];
+		for (const key of rest) {
+			if (value == null || typeof value !== 'object' || !(key in value)) return { found: false };
+			value = value[key];
+		}
+		return { found: true, value };
+	}
+	return { found: false };
+}
+
+function truthy(value) {
+	if (Array.isArray(value)) return value.length > 0;
+	if (value instanceof SafeHtml) return value.html.trim() !== '';
+	return Boolean(value);
+}
+
+function renderNodes(nodes, scopes, ctx) {
+	let out = '';
+	for (const node of nodes) {
+		if (node.type === 'text') {
+			out += node.value;
+			continue;
+		}
+
+		if (node.type === 'partial') {
+			const partial = ctx.partials[node.name];
+			if (partial == null) {
+				throw new Error(`パーシャルが見つかりません: {{> ${node.name}}} (${ctx.name}:${node.line})`);
+			}
+			// 展開中のパーシャルをもう一度展開すると終わらないので、展開の経路を添えてエラーにする
+			if (ctx.includes.includes(node.name)) {
+				const chain = [...ctx.includes, node.name].join(' > ');
+				throw new Error(`パーシャルの展開が循環しています: ${chain} (${ctx.name}:${node.line})`);
+			}
+			const partialName = `partial:${node.name}`;
+			out += renderNodes(compile(partial, partialName), scopes, { ...ctx, name: partialName, includes: [...ctx.includes, node.name] });
+			continue;
+		}
+
+		const { found, value } = lookup(scopes, node.path);
+		if (!found) ctx.onMissing(node.path, ctx.name, node.line);
+
+		if (node.type === 'var') {
+			let val = found ? value : '';
+			for (const f of node.filters) val = FILTERS[f](val);
+			out += val instanceof SafeHtml ? val.html : esc(val ?? '');
+		} else if (node.type === 'if' || node.type === 'unless') {
+			const cond = node.type === 'if' ? truthy(value) : !truthy(value);
+			out += renderNodes(cond ? node.body : node.elseBody, scopes, ctx);
+		} else if (node.type === 'each') {
+			const list = Array.isArray(value) ? value : [];
+			if (list.length === 0) {
+				out += renderNodes(node.elseBody, scopes, ctx);
+				continue;
+			}
+			list.forEach((item, i) => {
+				const scope = {
+					...(item !== null && typeof item === 'object' && !(item instanceof SafeHtml) ? item : {}),
+					__this: item,
+					'@index': i,
+					'@first': i === 0,
+					'@last': i === list.length - 1,
+				};
+				out += renderNodes(node.body, [...scopes, scope], ctx);
+			});
+		}
+	}
+	return out;
+}
+
+/**
+ * テンプレートを描画する
+ * @param {string} src テンプレート文字列
+ * @param {object} vars プレースホルダーの値（HTML断片は SafeHtml で渡す）
+ * @param {object} [options]
+ * @param {string} [options.name] エラー表示用のテンプレート名
+ * @param {Record<string, string>} [options.partials] {{> name}} で参照できるパーシャル
+ * @param {(key: string, name: string, line: number) => void} [options.onMissing] 未解決プレースホルダーの通知先
+ */
+export function render(src, vars, { name = 'template', partials = {}, onMissing = () => {} } = {}) {
+	// includes: 展開中のパーシャル名（外側から順に）
+	return renderNodes(compile(src, name), [vars], { name, partials, onMissing, includes: [] });
+}
@@ -0,0 +1,468 @@
+// ===========================
+//  validate.mjs
+//  スプリング☆ユニバース
+//  コンテンツの検証（blogs.json・authors.json・テーマ・記事の Frontmatter）
+//
+//  最初の1件で止めずに、見つけた問題をすべて集めて返す。
+//  問題は { file: ROOT からの相対パス, line: 行番号（不明なら 0）, message } の形。
+// ===========================
+
+import fs from 'fs';
+import path from 'path';
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const REQUIRED_PLANET_FIELDS = ['emoji', 'name', 'nameJa'];
+const REQUIRED_POST_FIELDS = ['title', 'date', 'author'];
+const REQUIRED_AUTHOR_FIELDS = ['id', 'name'];
+// 他の記事を参照する Frontmatter の項目
+const POST_REF_FIELDS = ['related', 'relatedExclude'];
+// 翻訳の記事（<slug>.<lang>.md）に書けない項目。元の記事の値を使う
+const TRANSLATION_FIXED_FIELDS = ['date', 'publishAt', 'author', 'tags', 'series', 'seriesOrder', ...POST_REF_FIELDS];
+const BLOG_TRANSLATION_FIELDS = ['title', 'desc'];
+
+function lineOf(src, index) {
+	return src.slice(0, index).split('\n').length;
+}
+
+function isNonEmptyString(value) {
+	return typeof value === 'string' && value.trim() !== '';
+}
+
+// YYYY-MM-DD として実在する日付か
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidDateString(str) {
+	const m = DATE_RE.exec(str);
+	if (!m) return false;
+	const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+	return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
+
+// ===========================
+//  日付
+// ===========================
+
+/**
+ * Frontmatter の publishAt を Date にする（不正なら null）
+ * 日付だけなら日本時間0時、タイムゾーンの無い日時は日本時間とみなす
+ * （引用符の無い 2026-03-01 18:00 は YAML が UTC の日時として読む）
+ */
+export function parsePublishAt(value) {
+	let time = value;
+	if (time instanceof Date) {
+		if (time.toISOString().endsWith('T00:00:00.000Z')) time = new Date(`${time.toISOString().slice(0, 10)}T00:00:00+09:00`);
+	} else {
+		const str = String(value ?? '').trim();
+		if (DATE_RE.test(str)) time = new Date(`${str}T00:00:00+09:00`);
+		else time = new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(str) ? str : `${str.replace(' ', 'T')}+09:00`);
+	}
+	return Number.isNaN(time.getTime()) ? null : time;
+}
+
+// ===========================
+//  blogs.json
+// ===========================
+
+// 配列の要素（オブジェクト）ごとのソース上の範囲 [start, end)
+function topLevelObjectRanges(src) {
+	const ranges = [];
+	let depth = 0;
+	let inString = false;
+	let start = -1;
+	for (let i = 0; i < src.length; i++) {
+		const ch = src[i];
+		if (inString) {
+			if (ch === '\\') i++;
+			else if (ch === '"') inString = false;
+			continue;
+		}
+		if (ch === '"') inString = true;
+		else if (ch === '{' || ch === '[') {
+			if (depth === 1 && ch === '{') start = i;
+			depth++;
+		} else if (ch === '}' || ch === ']') {
+			depth--;
+			if (depth === 1 && ch === '}') ranges.push([start, i + 1]);
+		}
+	}
+	return ranges;
+}
+
+// オブジェクトの配列の JSON を読む（構文エラーなどは report して null を返す）
+function parseJsonArray(src, report, what) {
+	let items;
+	try {
+		items = JSON.parse(src);
+	} catch (err) {
+		const pos = /position (\d+)/.exec(err.message);
+		report(pos ? lineOf(src, Number(pos[1])) : 0, `JSON の構文エラー: ${err.message}`);
+		return null;
+	}
+	if (!Array.isArray(items)) {
+		report(1, `${what}の配列にしてください`);
+		return null;
+	}
+	return items;
+}
+
+// 配列の i 番目の要素の先頭行と、その中のキーの行（見つからなければ要素の先頭行）
+function itemLines(src, ranges, i) {
+	const [start, end] = ranges[i] ?? [0, 0];
+	const itemLine = ranges[i] ? lineOf(src, start) : 0;
+	const keyLine = (key) => {
+		const m = new RegExp(`"${key}"\\s*:`).exec(src.slice(start, end));
+		return m ? lineOf(src, start + m.index) : itemLine;
+	};
+	return { itemLine, keyLine };
+}
+
+/**
+ * blogs.json を検証する
+ * @param {string} src blogs.json の中身
+ * @param {object} options
+ * @param {string} options.file 表示用のファイル名
+ * @param {Set<string>} options.themeNames 利用できるテーマ
+ * @param {string} options.defaultTheme theme 省略時のテーマ
+ * @param {Set<string>} [options.authorIds] authors.json の著者 ID（省略すると author の ID は調べない）
+ * @param {Set<string>} [options.languages] translations に書ける言語（既定の言語を除く）
+ * @returns {{ blogs: object[], problems: Array<{file: string, line: number, message: string}> }}
+ */
+export function validateBlogs(src, { file, themeNames, defaultTheme, authorIds, languages = new Set() }) {
+	const problems = [];
+	const report = (line, message) => problems.push({ file, line, message });
+
+	const blogs = parseJsonArray(src, report, 'ブログ定義');
+	if (!blogs) return { blogs: [], problems };
+
+	const ranges = topLevelObjectRanges(src);
+	const seen = new Map();
+
+	blogs.forEach((blog, i) => {
+		const { itemLine: blogLine, keyLine } = itemLines(src, ranges, i);
+		const label = `ブログ[${i}]${isNonEmptyString(blog?.slug) ? ` (${blog.slug})` : ''}`;
+
+		if (blog === null || typeof blog !== 'object' || Array.isArray(blog)) {
+			report(blogLine, `${label} はオブジェクトにしてください`);
+			return;
+		}
+
+		if (!isNonEmptyString(blog.slug)) {
+			report(keyLine('slug'), `${label}: slug がありません`);
+		} else if (!SLUG_RE.test(blog.slug)) {
+			report(keyLine('slug'), `${label}: slug は英小文字・数字・ハイフンにしてください`);
+		} else if (seen.has(blog.slug)) {
+			report(keyLine('slug'), `${label}: slug が重複しています（${seen.get(blog.slug)}行目と同じ）`);
+		} else {
+			seen.set(blog.slug, keyLine('slug'));
+		}
+
+		for (const key of ['title', 'desc', 'author']) {
+			if (!isNonEmptyString(blog[key])) report(keyLine(key), `${label}: ${key} がありません`);
+		}
+		if (authorIds && isNonEmptyString(blog.author) && !authorIds.has(blog.author)) {
+			report(keyLine('author'), `${label}: 著者 "${blog.author}" は authors.json にありません`);
+		}
+
+		if (blog.planet === null || typeof blog.planet !== 'object' || Array.isArray(blog.planet)) {
+			report(keyLine('planet'), `${label}: planet がありません（${REQUIRED_PLANET_FIELDS.join(', ')} が必要）`);
+		} else {
+			const missing = REQUIRED_PLANET_FIELDS.filter(key => !isNonEmptyString(blog.planet[key]));
+			if (missing.length) report(keyLine('planet'), `${label}: planet に ${missing.join(', ')} がありません`);
+		}
+
+		const theme = blog.theme ?? defaultTheme;
+		if (!themeNames.has(theme)) {
+			report(keyLine('theme'), `${label}: テーマ "${theme}" は存在しません（利用可能: ${[...themeNames].join(', ')}）`);
+		}
+
+		if (blog.postsPerPage !== undefined && (!Number.isInteger(blog.postsPerPage) || blog.postsPerPage < 1)) {
+			report(keyLine('postsPerPage'), `${label}: postsPerPage は1以上の整数にしてください`);
+		}
+		if (blog.ogImage !== undefined && typeof blog.ogImage !== 'string') {
+			report(keyLine('ogImage'), `${label}: ogImage は文字列にしてください`);
+		}
+
+		// translations: { "en": { "title": ..., "desc": ... } }
+		if (blog.translations !== undefined) {
+			if (!isPlainObject(blog.translations)) {
+				report(keyLine('translations'), `${label}: translations は言語ごとのオブジェクトにしてください（例: { "en": { "title": ..., "desc": ... } }）`);
+			} else {
+				for (const [lang, translation] of Object.entries(blog.translations)) {
+					if (!languages.has(lang)) {
+						report(keyLine('translations'), `${label}: translations の言語 "${lang}" は翻訳できません（利用可能: ${[...languages].join(', ') || 'なし'}）`);
+					} else if (!isPlainObject(translation)) {
+						report(keyLine('translations'), `${label}: translations.${lang} はオブジェクトにしてください`);
+					} else {
+						for (const key of Object.keys(translation)) {
+							if (!BLOG_TRANSLATION_FIELDS.includes(key)) report(keyLine('translations'), `${label}: translations.${lang} に ${key} は書けません（${BLOG_TRANSLATION_FIELDS.join(', ')} のみ）`);
+							else if (!isNonEmptyString(translation[key])) report(keyLine('translations'), `${label}: translations.${lang}.${key} は空でない文字列にしてください`);
+						}
+					}
+				}
+			}
+		}
+	});
+
+	return { blogs, problems };
+}
+
+// ===========================
+//  authors.json
+// ===========================
+
+/**
+ * authors.json を検証する
+ * 著者は { id, name, bio?, avatar?, links?: [{ label, url }] }
+ * @param {string} src authors.json の中身
+ * @param {object} options
+ * @param {string} options.file 表示用のファイル名
+ * @returns {{ authors: object[], problems: Array<{file: string, line: number, message: string}> }}
+ */
+export function validateAuthors(src, { file }) {
+	const problems = [];
+	const report = (line, message) => problems.push({ file, line, message });
+
+	const authors = parseJsonArray(src, report, '著者');
+	if (!authors) return { authors: [], problems };
+
+	const ranges = topLevelObjectRanges(src);
+	const seen = new Map();
+
+	authors.forEach((author, i) => {
+		const { itemLine, keyLine } = itemLines(src, ranges, i);
+		const label = `著者[${i}]${isNonEmptyString(author?.id) ? ` (${author.id})` : ''}`;
+
+		if (author === null || typeof author !== 'object' || Array.isArray(author)) {
+			report(itemLine, `${label} はオブジェクトにしてください`);
+			return;
+		}
+
+		for (const key of REQUIRED_AUTHOR_FIELDS) {
+			if (!isNonEmptyString(author[key])) report(keyLine(key), `${label}: ${key} がありません`);
+		}
+		if (isNonEmptyString(author.id)) {
+			if (!SLUG_RE.test(author.id)) {
+				report(keyLine('id'), `${label}: id は英小文字・数字・ハイフンにしてください`);
+			} else if (seen.has(author.id)) {
+				report(keyLine('id'), `${label}: id が重複しています（${seen.get(author.id)}行目と同じ）`);
+			} else {
+				seen.set(author.id, keyLine('id'));
+			}
+		}
+
+		for (const key of ['bio', 'avatar']) {
+			if (author[key] !== undefined && typeof author[key] !== 'string') report(keyLine(key), `${label}: ${key} は文字列にしてください`);
+		}
+		if (author.links !== undefined) {
+			const valid = Array.isArray(author.links)
+				&& author.links.every(link => isNonEmptyString(link?.label) && isNonEmptyString(link?.url));
+			if (!valid) report(keyLine('links'), `${label}: links は { "label": ..., "url": ... } の配列にしてください`);
+		}
+	});
+
+	return { authors, problems };
+}
+
+// ===========================
+//  テーマ
+// ===========================
+
+/**
+ * themes/<name>/ を検証する
+ * @param {string} themesDir
+ * @param {object} options
+ * @param {string} options.root 表示用の相対パスの基準
+ * @param {string[]} options.templates 必須テンプレート（拡張子なし）
+ * @param {string[]} options.partials 必須パーシャル（拡張子なし）
+ * @param {Set<string>} [options.languages] strings に書ける言語
+ * @param {Set<string>} [options.stringKeys] strings で上書きできる文言のキー
+ * @returns {{ themeNames: Set<string>, problems: Array<{file: string, line: number, message: string}> }}
+ */
+export function validateThemes(themesDir, { root, templates, partials, languages = new Set(), stringKeys = new Set() }) {
+	const problems = [];
+	const themeNames = new Set();
+	const rel = (p) => path.relative(root, p).split(path.sep).join('/');
+
+	if (!fs.existsSync(themesDir)) {
+		problems.push({ file: rel(themesDir), line: 0, message: 'テーマディレクトリが見つかりません' });
+		return { themeNames, problems };
+	}
+
+	for (const entry of fs.readdirSync(themesDir, { withFileTypes: true })) {
+		if (!entry.isDirectory()) continue;
+		const dir = path.join(themesDir, entry.name);
+		const report = (file, line, message) => problems.push({ file: rel(file), line, message });
+		themeNames.add(entry.name);
+
+		const manifestPath = path.join(dir, 'theme.json');
+		let manifest = {};
+		if (!fs.existsSync(manifestPath)) {
+			report(dir, 0, 'theme.json がありません');
+		} else {
+			try {
+				manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+				if (manifest.name !== entry.name) {
+					report(manifestPath, 1, `name (${manifest.name}) がディレクトリ名と一致しません`);
+				}
+			} catch (err) {
+				report(manifestPath, 0, `JSON の構文エラー: ${err.message}`);
+			}
+		}
+
+		// strings: { "ja": { "POSTS": "品書き一覧" }, "en": { ... } }
+		if (manifest.strings !== undefined) {
+			if (!isPlainObject(manifest.strings)) {
+				report(manifestPath, 0, 'strings は言語ごとのオブジェクトにしてください');
+			} else {
+				for (const [lang, strings] of Object.entries(manifest.strings)) {
+					if (!languages.has(lang)) {
+						report(manifestPath, 0, `strings の言語 "${lang}" はありません（利用可能: ${[...languages].join(', ')}）`);
+					} else if (!isPlainObject(strings)) {
+						report(manifestPath, 0, `strings.${lang} はオブジェクトにしてください`);
+					} else {
+						for (const [key, value] of Object.entries(strings)) {
+							if (!stringKeys.has(key)) report(manifestPath, 0, `strings.${lang}.${key} という文言はありません`);
+							else if (typeof value !== 'string') report(manifestPath, 0, `strings.${lang}.${key} は文字列にしてください`);
+						}
+					}
+				}
+			}
+		}
+
+		const required = [
+			...templates.map(n => `${n}.html`),
+			...partials.map(n => `partials/${n}.html`),
+			manifest.stylesheet || 'style.css',
+		];
+		for (const file of required) {
+			if (!fs.existsSync(path.join(dir, file))) report(dir, 0, `${file} がありません`);
+		}
+	}
+
+	return { themeNames, problems };
+}
+
+// ===========================
+//  記事の Frontmatter
+// ===========================
+
+// Frontmatter 内でキーが書かれている行（無ければ1行目）
+function frontmatterKeyLine(src, key) {
+	const lines = src.split('\n');
+	for (let i = 1; i < lines.length && lines[i].trim() !== '---'; i++) {
+		if (new RegExp(`^${key}\\s*:`).test(lines[i])) return i + 1;
+	}
+	return 1;
+}
+
+// Frontmatter に書かれたままの値（YAML が Date に変換する前の文字列）
+function frontmatterRawValue(src, key) {
+	const line = src.split('\n')[frontmatterKeyLine(src, key) - 1] ?? '';
+	const m = new RegExp(`^${key}\\s*:\\s*(.*)$`).exec(line);
+	return m ? m[1].trim().replace(/^(['"])(.*)\1$/, '$2') : '';
+}
+
+/**
+ * 記事ファイルの Frontmatter を検証する
+ * @param {string} src 記事ファイルの中身
+ * @param {object} options
+ * @param {string} options.file 表示用のファイル名
+ * @param {Function} options.matter gray-matter
+ * @param {Set<string>} [options.authorIds] authors.json の著者 ID（省略すると author の ID は調べない）
+ * @param {boolean} [options.translation] 翻訳の記事（必須は title だけで、日付・著者・タグなどは書けない）
+ * @returns {Array<{file: string, line: number, message: string}>}
+ */
+export function validateFrontmatter(src, { file, matter, authorIds, translation = false }) {
+	const problems = [];
+	const report = (key, message) => problems.push({ file, line: key ? frontmatterKeyLine(src, key) : 1, message });
+
+	let fm;
+	try {
+		// options を渡して gray-matter のキャッシュを使わない（パースに失敗した内容も途中までキャッシュされるため）
+		fm = matter(src, {}).data;
+	} catch (err) {
+		// js-yaml の mark.line は Frontmatter 内の0始まりの行（1行目の --- の次から）
+		const line = Number.isInteger(err.mark?.line) ? err.mark.line + 2 : 1;
+		problems.push({ file, line, message: `Frontmatter の YAML エラー: ${err.reason || err.message}` });
+		return problems;
+	}
+
+	for (const key of translation ? ['title'] : REQUIRED_POST_FIELDS) {
+		if (fm[key] == null || fm[key] === '') report(key, `${key} がありません`);
+	}
+	if (translation) {
+		for (const key of TRANSLATION_FIXED_FIELDS) {
+			if (fm[key] !== undefined) report(key, `翻訳の記事に ${key} は書けません（元の記事の値を使います）`);
+		}
+	}
+	for (const key of ['title', 'author', 'excerpt', 'image']) {
+		if (fm[key] != null && fm[key] !== '' && typeof fm[key] !== 'string') report(key, `${key} は文字列にしてください`);
+	}
+	if (authorIds && isNonEmptyString(fm.author) && !authorIds.has(fm.author)) {
+		report('author', `著者 "${fm.author}" は authors.json にありません（author には著者の id を書きます）`);
+	}
+
+	if (fm.date != null && fm.date !== '') {
+		// YAML は 2026-02-30 も3月2日の Date にしてしまうので、書かれた文字列で確かめる
+		const raw = fm.date instanceof Date ? frontmatterRawValue(src, 'date').slice(0, 10) : String(fm.date);
+		const valid = isValidDateString(raw);
+		if (!valid) report('date', `date は YYYY-MM-DD 形式の実在する日付にしてください: ${raw}`);
+	}
+	if (fm.publishAt != null && !parsePublishAt(fm.publishAt)) {
+		report('publishAt', `publishAt の形式が不正です: ${fm.publishAt}`);
+	}
+
+	if (fm.tags != null) {
+		if (!Array.isArray(fm.tags)) {
+			report('tags', 'tags は配列にしてください（例: tags: [温泉, 天文]）');
+		} else if (fm.tags.some(tag => !isNonEmptyString(tag) && typeof tag !== 'number')) {
+			report('tags', 'tags の要素は空でない文字列にしてください');
+		}
+	}
+	for (const key of ['draft', 'toc']) {
+		if (fm[key] != null && typeof fm[key] !== 'boolean') report(key, `${key} は true / false にしてください`);
+	}
+	for (const key of POST_REF_FIELDS) {
+		if (fm[key] != null && (!Array.isArray(fm[key]) || fm[key].some(ref => !isNonEmptyString(ref)))) {
+			report(key, `${key} は記事の配列にしてください（例: ${key}: [ren-kawase/2026-02-03-onsen-ranking-astronomer]）`);
+		}
+	}
+
+	if (fm.series != null && !isNonEmptyString(fm.series)) {
+		report('series', 'series はシリーズ名の文字列にしてください（例: series: 筋トレ記録）');
+	}
+	if (fm.seriesOrder != null) {
+		if (!Number.isFinite(fm.seriesOrder)) report('seriesOrder', `seriesOrder は数値にしてください: ${fm.seriesOrder}`);
+		else if (fm.series == null) report('seriesOrder', 'seriesOrder は series と一緒に指定してください');
+	}
+
+	return problems;
+}
+
+/**
+ * 記事から他の記事への参照（related・relatedExclude）が実在するか調べる
+ * 参照は "<ブログのslug>/<記事のslug>"、同じブログなら "<記事のslug>" だけでもよい
+ * @param {Array<{file: string, src: string, blogSlug: string, slug: string, data: object}>} posts Frontmatter に問題の無い記事
+ * @returns {Array<{file: string, line: number, message: string}>}
+ */
+export function validatePostRefs(posts) {
+	const known = new Set(posts.map(p => `${p.blogSlug}/${p.slug}`));
+	const problems = [];
+	for (const post of posts) {
+		for (const key of POST_REF_FIELDS) {
+			for (const ref of post.data[key] ?? []) {
+				if (known.has(ref.includes('/') ? ref : `${post.blogSlug}/${ref}`)) continue;
+				problems.push({ file: post.file, line: frontmatterKeyLine(post.src, key), message: `${key} の記事が見つかりません: ${ref}` });
+			}
+		}
+	}
+	return problems;
+}
+
+// 「file:line メッセージ」の形に整える
+export function formatProblem({ file, line, message }) {
+	return `${file}${line ? `:${line}` : ''}  ${message}`;
+}
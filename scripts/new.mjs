@@ -0,0 +1,262 @@
+// ===========================
+//  new.mjs
+//  スプリング☆ユニバース
+//  記事・ブログのひな形を作る
+//
+//  使い方:
+//    npm run new:post -- <blog-slug> "<タイトル>" [記事スラッグ]
+//        content/blogs/<blog-slug>/posts/<今日の日付>-<記事スラッグ>.md を作る
+//        記事スラッグを省略するとタイトルから作る（英数字にならなければ post）
+//
+//    npm run new:blog
+//    npm run new:blog -- --slug <slug> --title "<タイトル>" --desc "<説明>" --author <著者ID> --theme <テーマ> --planet <惑星>
+//        足りない項目はたずねる。blogs.json に追加し、content/blogs/<slug>/posts/ を作る
+//        著者は content/authors.json の id で指定する（新しい著者は先に authors.json に追加する）
+// ===========================
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+import { DEFAULT_THEME } from './build.mjs';
+import { loadConfig } from './lib/config.mjs';
+import { slugify } from './lib/slug.mjs';
+import { validateBlogs, validateThemes } from './lib/validate.mjs';
+
+const { root: ROOT, paths } = await loadConfig().catch(err => fail(err.message));
+const CONTENT = paths.content;
+const THEMES = paths.themes;
+const BLOGS_JSON = path.join(CONTENT, 'blogs.json');
+const AUTHORS_JSON = path.join(CONTENT, 'authors.json');
+
+// 新しいブログに割り当てられる天体（blogs.json で使用中のものは選べない）
+const PLANETS = [
+	{ emoji: '☿️', color: '#a0a0a0', nameJa: '水星', name: 'Mercury' },
+	{ emoji: '♀️', color: '#ffd700', nameJa: '金星', name: 'Venus' },
+	{ emoji: '🌍', color: '#4169e1', nameJa: '地球', name: 'Earth' },
+	{ emoji: '♂️', color: '#ff4444', nameJa: '火星', name: 'Mars' },
+	{ emoji: '♃', color: '#ff8c00', nameJa: '木星', name: 'Jupiter' },
+	{ emoji: '🪐', color: '#f4a460', nameJa: '土星', name: 'Saturn' },
+	{ emoji: '⛢', color: '#4fd5d5', nameJa: '天王星', name: 'Uranus' },
+	{ emoji: '♆', color: '#1e90ff', nameJa: '海王星', name: 'Neptune' },
+	{ emoji: '⚶', color: '#9370db', nameJa: '冥王星（準惑星）', name: 'Pluto' },
+	{ emoji: '🌙', color: '#667db6', nameJa: '月', name: 'Moon' },
+	{ emoji: '☀️', color: '#ffb347', nameJa: '太陽', name: 'Sun' },
+	{ emoji: '⚳', color: '#b0a99f', nameJa: 'ケレス（準惑星）', name: 'Ceres' },
+	{ emoji: '🌋', color: '#e8d44d', nameJa: 'イオ', name: 'Io' },
+	{ emoji: '🧊', color: '#c8b79e', nameJa: 'エウロパ', name: 'Europa' },
+	{ emoji: '🟠', color: '#e3a857', nameJa: 'タイタン', name: 'Titan' },
+	{ emoji: '☄️', color: '#87ceeb', nameJa: 'ハレー彗星', name: 'Halley' },
+];
+
+// ===========================
+//  共通
+// ===========================
+
+function fail(message) {
+	console.error(`\n❌ ${message}\n`);
+	process.exit(1);
+}
+
+function readBlogs() {
+	if (!fs.existsSync(BLOGS_JSON)) fail('content/blogs.json が見つかりません');
+	return JSON.parse(fs.readFileSync(BLOGS_JSON, 'utf-8'));
+}
+
+function readAuthors() {
+	if (!fs.existsSync(AUTHORS_JSON)) fail('content/authors.json が見つかりません');
+	return JSON.parse(fs.readFileSync(AUTHORS_JSON, 'utf-8'));
+}
+
+// 日本時間の今日（YYYY-MM-DD）
+function todayJst() {
+	return new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Tokyo' });
+}
+
+// YAML の値として書く。記号で始まる・": " や " #" を含む・数値や真偽値に見えるものは引用符で囲む
+function yamlScalar(value) {
+	const str = String(value);
+	const plain = /^[^\s\-?:,[\]{}#&*!|>'"%@`]/.test(str)
+		&& !/: | #|\s$/.test(str)
+		&& !/^(true|false|yes|no|on|off|null|~|[-+]?[\d.]+(e[-+]?\d+)?)$/i.test(str);
+	return plain ? str : JSON.stringify(str);
+}
+
+// --key value 形式のオプション
+function parseOptions(argv) {
+	const options = {};
+	for (let i = 0; i < argv.length; i++) {
+		if (argv[i].startsWith('--')) options[argv[i].slice(2)] = argv[++i] ?? '';
+	}
+	return options;
+}
+
+// ===========================
+//  new:post
+// ===========================
+
+function newPost([blogSlug, title, postSlug]) {
+	if (!blogSlug || !title) fail('使い方: npm run new:post -- <blog-slug> "<タイトル>" [記事スラッグ]');
+
+	const blogs = readBlogs();
+	const blog = blogs.find(b => b.slug === blogSlug);
+	if (!blog) fail(`ブログ "${blogSlug}" は blogs.json にありません（${blogs.map(b => b.slug).join(', ')}）`);
+
+	// ファイル名は既存の記事に合わせて英小文字・数字・ハイフンにする
+	let slug = slugify(postSlug ?? title);
+	if (!/^[a-z0-9][a-z0-9-]*$/.test(slug)) {
+		if (postSlug) fail(`記事スラッグは英小文字・数字・ハイフンにしてください: ${postSlug}`);
+		slug = 'post';
+	}
+
+	const date = todayJst();
+	const postsDir = path.join(CONTENT, 'blogs', blog.slug, 'posts');
+	fs.mkdirSync(postsDir, { recursive: true });
+
+	// 同じ日に同じスラッグがあれば -2, -3 … を付ける
+	let file = path.join(postsDir, `${date}-${slug}.md`);
+	for (let n = 2; fs.existsSync(file); n++) file = path.join(postsDir, `${date}-${slug}-${n}.md`);
+
+	fs.writeFileSync(file, [
+		'---',
+		`title: ${yamlScalar(title)}`,
+		`date: ${date}`,
+		`author: ${yamlScalar(blog.author)}`,
+		'tags: []',
+		'excerpt: ""',
+		'---',
+		'',
+		`# ${title}`,
+		'',
+		'',
+	].join('\n'));
+
+	console.log(`\n📝 作成しました: ${path.relative(ROOT, file)}`);
+	if (!postSlug && slug === 'post') console.log('   ファイル名はタイトルから作れなかったので、必要なら英語のスラッグに変えてください');
+	console.log('');
+}
+
+// ===========================
+//  new:blog
+// ===========================
+
+function themeChoices() {
+	const { themeNames } = validateThemes(THEMES, { root: ROOT, templates: [], partials: [] });
+	return [...themeNames].sort().map(name => {
+		const manifestPath = path.join(THEMES, name, 'theme.json');
+		const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : {};
+		return { name, label: manifest.label || name, description: manifest.description || '' };
+	});
+}
+
+// 英語名・日本語名（大文字小文字は区別しない）で天体を探す
+function findPlanet(value) {
+	const key = String(value ?? '').trim().toLowerCase();
+	return PLANETS.find(p => p.name.toLowerCase() === key || p.nameJa.toLowerCase() === key) ?? null;
+}
+
+// blogs.json の既存の書式（1ブログ1ブロック、planet は1行）に合わせる
+function formatBlogEntry(blog) {
+	const lines = Object.entries(blog).map(([key, value]) => {
+		if (key === 'planet') {
+			const planet = Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ');
+			return `    "planet": { ${planet} }`;
+		}
+		return `    ${JSON.stringify(key)}: ${JSON.stringify(value)}`;
+	});
+	return `  {\n${lines.join(',\n')}\n  }`;
+}
+
+async function newBlog(argv) {
+	const options = parseOptions(argv);
+	const blogs = readBlogs();
+	const themes = themeChoices();
+	const authors = readAuthors();
+	const usedPlanets = new Set(blogs.map(b => b.planet?.name));
+	const freePlanets = PLANETS.filter(p => !usedPlanets.has(p.name));
+
+	const fields = [
+		{ key: 'slug', question: 'スラッグ（英小文字・数字・ハイフン）' },
+		{ key: 'title', question: 'ブログのタイトル' },
+		{ key: 'desc', question: 'ブログの説明' },
+		{ key: 'author', question: '著者 ID', choices: authors.map(a => `${a.id}  ${a.name}`) },
+		{ key: 'theme', question: 'テーマ', choices: themes.map(t => `${t.name}  ${t.label}${t.description ? ` — ${t.description}` : ''}`) },
+		{ key: 'planet', question: '天体（英語名か日本語名）', choices: freePlanets.map(p => `${p.emoji} ${p.name}  ${p.nameJa}`) },
+	];
+
+	// 引数で足りなければ対話でたずねる
+	const missing = fields.filter(f => !options[f.key]);
+	if (missing.length) {
+		if (!process.stdin.isTTY) fail(`次の項目を指定してください: ${missing.map(f => `--${f.key}`).join(' ')}`);
+		const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+		try {
+			for (const field of missing) {
+				if (field.choices) console.log(`\n${field.choices.map(c => `  ${c}`).join('\n')}`);
+				options[field.key] = (await rl.question(`${field.question}: `)).trim();
+			}
+		} finally {
+			rl.close();
+		}
+	}
+
+	const planet = findPlanet(options.planet);
+	const problems = [];
+	if (!planet) {
+		problems.push(`天体 "${options.planet}" は選べません（${freePlanets.map(p => p.name).join(', ')}）`);
+	} else if (usedPlanets.has(planet.name)) {
+		const owner = blogs.find(b => b.planet?.name === planet.name);
+		problems.push(`天体 ${planet.name} はブログ ${owner.slug} が使っています`);
+	}
+
+	const blog = {
+		slug: options.slug,
+		title: options.title,
+		desc: options.desc,
+		author: options.author,
+		theme: options.theme,
+		planet: planet ?? {},
+	};
+
+	// blogs.json と同じ検証（必須項目・slug の形式・テーマの有無）に、既存のブログとの重複チェックを加える
+	const { problems: blogProblems } = validateBlogs(`[\n${formatBlogEntry(blog)}\n]\n`, {
+		file: 'content/blogs.json',
+		themeNames: new Set(themes.map(t => t.name)),
+		defaultTheme: DEFAULT_THEME,
+		authorIds: new Set(authors.map(a => a.id)),
+	});
+	problems.push(...blogProblems
+		.map(p => p.message.replace(/^ブログ\[0\]( \([^)]*\))?: /, ''))
+		.filter(message => planet || !message.startsWith('planet')));
+	if (blogs.some(b => b.slug === blog.slug)) {
+		problems.push(`slug "${blog.slug}" はすでに blogs.json にあります`);
+	}
+	if (fs.existsSync(path.join(CONTENT, 'blogs', blog.slug ?? ''))) {
+		problems.push(`content/blogs/${blog.slug}/ はすでにあります`);
+	}
+	if (problems.length) fail(`ブログを追加できません\n${problems.map(p => `   ${p}`).join('\n')}`);
+
+	// 既存の書式を崩さないよう、最後の ] の前に追記する
+	const current = fs.readFileSync(BLOGS_JSON, 'utf-8');
+	const end = current.lastIndexOf(']');
+	const body = current.slice(0, end).trimEnd();
+	const separator = body.endsWith('[') ? '\n' : ',\n';
+	fs.writeFileSync(BLOGS_JSON, `${body}${separator}${formatBlogEntry(blog)}\n]\n`);
+
+	const postsDir = path.join(CONTENT, 'blogs', blog.slug, 'posts');
+	fs.mkdirSync(postsDir, { recursive: true });
+	fs.writeFileSync(path.join(postsDir, '.gitkeep'), '');
+
+	console.log(`\n🪐 ブログを追加しました: ${blog.title} (${blog.slug})`);
+	console.log(`   content/blogs.json に追記し、${path.relative(ROOT, postsDir)}/ を作りました`);
+	console.log(`   最初の記事: npm run new:post -- ${blog.slug} "<タイトル>"\n`);
+}
+
+// ===========================
+//  実行
+// ===========================
+
+const [command, ...rest] = process.argv.slice(2);
+
+const commands = { post: newPost, blog: newBlog };
+if (!commands[command]) fail('使い方: node scripts/new.mjs post|blog ...');
+
+Promise.resolve(commands[command](rest)).catch(err => fail(err.message));
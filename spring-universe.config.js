@@ -0,0 +1,49 @@
+// ===========================
+//  spring-universe.config.js
+//  スプリング☆ユニバース
+//  ビルドの設定（項目と既定値は scripts/lib/config.mjs）
+// ===========================
+
+/** @type {import('./scripts/lib/config.mjs').Config} */
+export default {
+	// 入出力のディレクトリ（このファイルからの相対パス）
+	paths: {
+		content: 'content',
+		templates: 'templates',
+		themes: 'themes',
+		public: 'public',
+		// デプロイするディレクトリ（.github/workflows/deploy.yml の path と合わせる）
+		outDir: 'docs',
+		// --drafts の出力先。公開用の出力と混ざらないよう別ディレクトリにする（.gitignore 済み）
+		previewDir: 'preview',
+		cacheDir: '.cache',
+	},
+
+	site: {
+		title: 'スプリング☆ユニバース',
+		description: '研究室メンバーのブログポータル',
+		// 公開URL（ベースURL）。環境変数 SITE_URL で上書きできる
+		url: process.env.SITE_URL || 'https://mizukisato39.github.io/supu_uni/',
+		// OGP画像の既定値（サイトのルートからの相対パスか絶対URL）。空なら og:image を出さない
+		ogImage: '',
+	},
+
+	posts: {
+		// 1ページあたりの記事数（ブログ一覧は blogs.json の postsPerPage で上書きできる）
+		perPage: 10,
+		// 記事ページの関連記事の件数
+		relatedLimit: 3,
+		// 関連記事を新しい記事ほど優先する半減期（日数）。0 なら日付で重み付けしない
+		relatedHalfLifeDays: 180,
+		// この日数以内に記事があるブログにトップページで NEW を付ける。0 なら付けない
+		newBadgeDays: 7,
+	},
+
+	features: {
+		// トップページからのサイト内の移動をページの読み直し無しで行う（BGM を止めない）。使うときだけ true にする
+		clientNav: false,
+		sitemap: true,
+		// 出力ファイルの一覧（サイズとハッシュ）build-manifest.json
+		manifest: true,
+	},
+};
@@ -0,0 +1,164 @@
+// ===========================
+//  minify.test.mjs
+//  スプリング☆ユニバース
+//  scripts/lib/minify.mjs のテスト（npm test）
+//
+//  圧縮の前後で意味が変わりやすいところ（正規表現リテラル・改行による ASI・
+//  文字列やコメントの中の // /*・<pre> / <textarea> の空白）を確かめる
+// ===========================
+
+import fs from 'fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minifyJs, minifyCss, minifyHtml } from '../scripts/lib/minify.mjs';
+
+// 圧縮前と圧縮後のコードを実行して、戻り値が同じことを確かめる
+function assertSameResult(src) {
+	const min = minifyJs(src);
+	assert.deepEqual(new Function(min)(), new Function(src)(), `圧縮後:\n${min}`);
+	return min;
+}
+
+// ===========================
+//  JS
+// ===========================
+
+test('JS: コメントと字下げを取り除く', () => {
+	const min = minifyJs('// 先頭のコメント\nfunction f(a, b) {\n  /* 足す */\n  return a + b; // 行末\n}\n');
+	assert.equal(min, 'function f(a,b){\nreturn a + b;\n}\n');
+});
+
+test('JS: 正規表現リテラルの中の // /* と / を残す', () => {
+	assertSameResult(String.raw`
+		const url = /^https?:\/\//;
+		const star = /a\/*b/g;
+		const cls = /[/]+/;
+		return [url.test('https://x'), 'a//b'.replace(star, '-'), 'x//y'.split(cls)];
+	`);
+});
+
+test('JS: 割り算を正規表現と取り違えない', () => {
+	const min = assertSameResult(`
+		const a = 10, b = 2, g = 1;
+		const x = a / b / g;
+		const y = (a) / 2 / (b);
+		return [x, y, a /b/ g];
+	`);
+	assert.ok(min.includes('a / b / g'));
+});
+
+test('JS: return・typeof などの後ろの / は正規表現', () => {
+	assertSameResult(`
+		function f(s) {
+			return /ab+c/.test(s);
+		}
+		return [f('abbc'), typeof /x/];
+	`);
+});
+
+test('JS: 文字列とテンプレートリテラルの中の // /* は残す', () => {
+	const min = assertSameResult(`
+		const a = 'http://example.com/*not a comment*/';
+		const b = "// これもコメントではない";
+		const c = \`\${a} // \${'}'} /* \${b} */\`;
+		return [a, b, c];
+	`);
+	assert.ok(min.includes("'http://example.com/*not a comment*/'"));
+});
+
+test('JS: 改行を残して ASI の結果を変えない', () => {
+	assertSameResult(`
+		let a = 1
+		let b = a
+		++b
+		const f = function () {
+			return
+			42
+		}
+		return [a, b, f()]
+	`);
+});
+
+test('JS: a - -b・a + +b の空白を詰めない', () => {
+	const min = assertSameResult('const a = 3, b = 1;\nreturn [a - -b, a + +b, a - - b];\n');
+	assert.ok(min.includes('a - -b'));
+	assert.ok(min.includes('a + +b'));
+});
+
+test('JS: 閉じていない / は1文字として扱う', () => {
+	assert.doesNotThrow(() => minifyJs('const x = a /\nb;\n'));
+});
+
+// ===========================
+//  CSS
+// ===========================
+
+test('CSS: コメントと空白を詰め、最後の ; を取る', () => {
+	assert.equal(minifyCss('/* 見出し */\nh1 {\n  color: red;\n  margin: 0 auto;\n}\n'), 'h1{color:red;margin:0 auto}\n');
+});
+
+test('CSS: 子孫セレクターの「a :hover」を「a:hover」にしない', () => {
+	assert.equal(minifyCss('a :hover { color: red; }\n'), 'a :hover{color:red}\n');
+});
+
+test('CSS: 文字列と url() の中の /* // は残す', () => {
+	const min = minifyCss(`.a::before { content: "/* そのまま */"; }\n.b { background: url("//cdn.example.com/a.png"); }\n`);
+	assert.ok(min.includes('"/* そのまま */"'));
+	assert.ok(min.includes('url("//cdn.example.com/a.png")'));
+});
+
+test('CSS: calc() の演算子の前後の空白を残す', () => {
+	assert.equal(minifyCss('.a { width: calc(100% - 2 * 8px); }\n'), '.a{width:calc(100% - 2 * 8px)}\n');
+});
+
+// ===========================
+//  HTML
+// ===========================
+
+test('HTML: コメントを消し、テキストの空白を1つに詰める', () => {
+	assert.equal(minifyHtml('<p>\n  こんにちは   世界\n  <!-- メモ -->\n</p>\n'), '<p> こんにちは 世界 </p>\n');
+});
+
+test('HTML: 条件付きコメントは残す', () => {
+	assert.ok(minifyHtml('<head><!--[if IE]><p>IE</p><![endif]--></head>').includes('<!--[if IE]>'));
+});
+
+test('HTML: <pre> と <textarea> の中の空白はそのまま', () => {
+	const pre = '<pre>  1行目\n    2行目\n\n</pre>';
+	const textarea = '<textarea name="t">  a\n  b  </textarea>';
+	const min = minifyHtml(`<div>\n  ${pre}\n  ${textarea}\n</div>`);
+	assert.ok(min.includes(pre));
+	assert.ok(min.includes(textarea));
+});
+
+test('HTML: インライン要素の間の空白は残し、head の中の空白は取る', () => {
+	assert.equal(minifyHtml('<head>\n  <meta charset="UTF-8">\n  <title>T</title>\n</head>'), '<head><meta charset="UTF-8"><title>T</title></head>\n');
+	assert.equal(minifyHtml('<p><a href="#">a</a>\n  <a href="#">b</a></p>'), '<p><a href="#">a</a> <a href="#">b</a></p>\n');
+});
+
+test('HTML: 属性値の中の > と <!-- を壊さない', () => {
+	const tag = '<a title="a > b <!-- c -->" href="#">x</a>';
+	assert.equal(minifyHtml(tag), `${tag}\n`);
+});
+
+test('HTML: <script> は JS、<style> は CSS として圧縮する', () => {
+	const min = minifyHtml('<script>\n  // コメント\n  const re = /<\\/p>/;\n</script>\n<style>\n  p { color: red; }\n</style>');
+	assert.equal(min, '<script>const re=/<\\/p>/;</script><style>p{color:red}</style>\n');
+});
+
+test('HTML: JSON-LD の <script> はそのまま', () => {
+	const json = '{"@context":"https://schema.org","name":"a  //  b"}';
+	assert.ok(minifyHtml(`<script type="application/ld+json">${json}</script>`).includes(json));
+});
+
+// ===========================
+//  このリポジトリのアセット
+// ===========================
+
+test('public/ の JS は圧縮後も構文エラーにならない', () => {
+	const dir = new URL('../public/assets/js/', import.meta.url);
+	for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js'))) {
+		const min = minifyJs(fs.readFileSync(new URL(file, dir), 'utf-8'));
+		assert.doesNotThrow(() => new Function(min), file);
+	}
+});